@@ -10,7 +10,7 @@
 import { parseArgs } from "node:util";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { search, searchRaw, getCategories } from "../lib/index.js";
+import { search, searchStream, searchRaw, getFacets, getItem, getSeller, getReviews, groupBySeller, groupSimilar, diffResults, priceStats, expandVariations, discoverCategories, categoryRows, defaultCategoryFile, getSites, createRateLimiter, recordingFetcher, replayFetcher, createCache, defaultCacheDir, DEFAULT_CACHE_TTL, createHistory, defaultHistoryFile, createWatchlist, defaultWatchFile, describeWatch, compileFilter, RISK_LEVELS } from "../lib/index.js";
 import { initLogger, log, closeLogger } from "../lib/logger.js";
 import fs from "node:fs";
 
@@ -29,32 +29,98 @@ const HELP = `
 
   \x1b[1mUsage:\x1b[0m
     ml-search <query> [options]
+    ml-search --query <query> [options]
+    ml-search item <id|url>... [options]
+    ml-search seller <nickname|id>... [options]
+    ml-search reviews <id|url> [--limit <n>] [options]
+    ml-search history <id|url> [--history-file <file>]
+    ml-search diff <old.json> <new.json> [-f table|json|jsonl|csv]
+    ml-search watch add <query> [filters] [--below <n>] [--min-discount <pct>] [--new-listings]
+    ml-search watch add --items <ids> [--below <n>] [--min-discount <pct>]
+    ml-search watch list|remove <id>|run [--webhook <url>] [--exec <cmd>]
+    ml-search cache stats|clear [--cache-dir <dir>] [--expired]
 
   \x1b[1mArguments:\x1b[0m
-    query                  Search query (required)
+    query                  Search query (required). When it starts with a subcommand name (cache, item, seller,
+                           reviews, history, diff, watch), pass it with --query or after "--"
+    id|url                 For "item": listing IDs (e.g. MLB1234567890) or URLs, fetched with --concurrency
+    nickname|id            For "seller": seller nicknames, numeric seller IDs or profile URLs
+                           For "reviews": one listing ID or URL; --limit caps the number of reviews
+                           For "history": one listing ID or URL recorded with --track
+    old.json new.json      For "diff": two result files saved with --save-json (or jsonl output)
+    name                   For --list-categories: optional category name to look for
 
   \x1b[1mOptions:\x1b[0m
+    -q, --query <query>    Search query, never read as a subcommand (e.g. --query "watch apple")
     -l, --limit <n>        Max results to return (default: 20)
+    -o, --offset <n>       Start at this result position, e.g. a previous run's "nextOffset" (default: 0)
     -c, --condition <type> Filter: "new" or "used"
     -s, --sort <order>     Sort: "price_asc", "price_desc", or "relevance"
     -g, --category <id>    Filter by category ID (e.g. "MLB1648") or slug (e.g. "informatica")
-    -G, --list-categories  List all valid categories and exit
+    -G, --list-categories  List categories as a tree and exit (a query lists matching branches only)
+        --depth <n>        Levels to list and discover with --list-categories (default: 1, the top level;
+                           deeper levels are fetched once and cached)
+        --refresh-categories Fetch the listed levels again instead of using the cached tree
+    -m, --site <id>        Mercado Libre site: MLB (default), MLA, MLM, MLC, MCO, MLU, MPE
     -t, --timeout <ms>     HTTP timeout in ms (default: 15000)
+        --max-time <s>     Overall time budget in seconds; when it runs out, print the items collected so far
     -n, --concurrency <n>  Max parallel detail requests (default: 5)
-    -a, --state <uf>       Filter by Brazilian state(s) — MLB only (e.g. "sp", "rj,mg,sp")
-    -S, --strict           Only show results where ALL search terms appear in the title, description or attributes
+        --retries <n>      Retries per request on timeouts, 429 and 5xx responses (default: 2)
+        --retry-max-delay <ms> Longest single wait between retries (default: 30000)
+    -a, --state <code>     Filter by region(s) of the selected site: MLB UF codes (e.g. "sp", "rj,mg,sp"),
+                           or region names from the location filter on other sites (see --facets)
+        --min-price <n>    Only show items priced at or above <n> (filtered by the site and re-checked locally)
+        --max-price <n>    Only show items priced at or below <n>
+    -S, --strict           Only show results where ALL search terms appear in the title, description or attributes.
+                           The query may use -word, "exact phrase", (a|b) and title:/desc:/attr: scopes
+        --exclude <terms>  Drop items mentioning any of these comma-separated terms (repeatable; works without --strict)
+        --where <expr>     Keep items whose field or attribute matches (repeatable; =, !=, >, >=, <, <=, ~ regex)
     -I, --no-international Exclude international listings (show only local/domestic results)
+        --full-only        Only show items shipped by Mercado Envios Full
+        --max-delivery-days <n>
+                           Only show items estimated to arrive within <n> days (0 = today)
     -d, --no-details       Skip detail enrichment requests (faster, returns only basic listing data)
+        --max-risk <n>     Drop listings whose risk score (0-100: outlier price, off-platform contact…) is above <n>
+        --hide-risky       Drop high-risk listings (same as --max-risk ${RISK_LEVELS.high - 1})
+        --reviews <n>      Attach the first <n> customer reviews to each item (one more request per item)
+        --rate <n>         Max requests per second, shared by all pages, details and states (default: 3)
     -R, --no-rate-limit    Disable built-in rate limiting (use at your own risk — may get your IP blocked)
     -1, --save-on-first    Save the first HTTP response (JSON + HTML) to the project root
     -e, --save-on-error    Save any HTTP response that returns an error (JSON + HTML) to the project root
+        --record <dir>     Save every page and detail response (with its URL) into a cassette directory
+        --replay <dir>     Serve responses from a cassette directory, with no network access
+        --cache-dir <dir>  Response cache directory (default: ~/.cache/ml-search)
+        --cache-ttl <s>    Cache TTL in seconds: "<listing>" or "<listing>,<detail>" (default: 900,21600)
+        --no-cache         Do not read or write the response cache
+        --track            Record the price of every returned item in the local price history
+        --history-file <f> Price history file (default: ~/.local/share/ml-search/history.jsonl)
+
+  \x1b[1mWatchlist:\x1b[0m
+        --items <ids>      "watch add": comma-separated listing IDs or URLs to watch instead of a query
+        --below <n>        "watch add": alert when an item's price is below <n>
+        --min-discount <p> "watch add": alert when an item's discount is at least <p>%
+        --new-listings     "watch add": alert on listings that earlier runs did not return
+        --webhook <url>    "watch run": POST each alert as JSON to this URL
+        --exec <cmd>       "watch run": run this shell command per alert, with the alert JSON on stdin
+        --watch-file <f>   Watchlist file (default: ~/.local/share/ml-search/watchlist.json)
     -L, --log              Write a detailed debug log file to the project root
 
   \x1b[1mOutput:\x1b[0m
     -f, --format <type>    Output format: "json", "table", "jsonl", "csv" (default: json)
+                           jsonl streams items as soon as each one is ready, unless the output needs the
+                           whole result (price sort, several states, --max-risk, --stats, grouping…)
     -p, --pretty           Pretty-print JSON output
     -r, --raw              Output the full raw initialState object
+        --facets           List the site's filter facets for the search (brands, shipping, sellers…) with counts and exit
+        --filter <f=v>     Apply a site facet value, by ID or name (e.g. "BRAND=Samsung", "Marca=Samsung"; repeatable)
     -F, --fields <list>    Comma-separated fields to include (e.g. "title,price,permalink")
+        --expand-variations
+                           Print one row per variation (colour, size…) with its own price and stock (csv/jsonl)
+        --group-by seller  Print one summary per seller (item count, min/avg/max price) instead of items
+        --stats            Add price statistics (median, percentiles, histogram…) of the returned items
+                           ("priceStats" in JSON output, next to the request counters in "stats")
+        --group-similar    Print one entry per product, clustering near-identical listings (cheapest offer, price spread)
+        --diff-against <f> Print what changed since a saved result file instead of the items
     -w, --web              Open results as a web page in the browser
     -j, --save-json        Save results as a JSON file in the current directory
 
@@ -63,6 +129,9 @@ const HELP = `
     ml-search "notebook Dell" -l 5 -c used -f table
     ml-search "tela lcd" --fields title,price,permalink --format csv
     ml-search "webcam" --raw > raw-state.json
+    ml-search "iPhone 15" --expand-variations -f csv -F title,variation,price,availableQuantity
+    ml-search "smartphone" --facets -f table
+    ml-search "smartphone" --filter "Marca=Samsung" --filter "Frete=Grátis"
     ml-search "notebook Dell" --web
 
     ml-search "iPhone 15" --state sp -f table
@@ -70,34 +139,92 @@ const HELP = `
     ml-search "celular" --category MLB1648 --sort price_asc
     ml-search "notebook" --category informatica -f table
     ml-search --list-categories
+    ml-search "celular" --site MLA -f table
+    ml-search --list-categories --site MLM
+    ml-search --list-categories --depth 2
+    ml-search --list-categories notebook --depth 3
     ml-search "Samsung S20" --strict -f table
     ml-search "iPhone 15" --strict --pretty -l 10
+    ml-search 'galaxy s22 -capa -película "carregador original" (25w|45w)' --strict -f table
+    ml-search "galaxy s22" --exclude capa,película,suporte
+    ml-search "notebook" --where "Memória RAM>=16 GB" --where "freeShipping=true" -f table
+    ml-search "fone bluetooth" --full-only --max-delivery-days 1 -f table
+    ml-search "webcam" --record cassettes/webcam
+    ml-search "webcam" --replay cassettes/webcam -f table
+    ml-search cache stats
+    ml-search "ssd 1tb" -l 50 --track
+    ml-search history MLB1234567890 -f table
+    ml-search watch add "rtx 4070" --condition new --below 3500
+    ml-search watch run --webhook http://localhost:8080/alerts
+    ml-search diff ml-results_monday.json ml-results_tuesday.json -f table
+    ml-search "ssd 1tb" -l 100 --diff-against ml-results_monday.json -f table
 `;
 
 let parsed;
 try {
   parsed = parseArgs({
     allowPositionals: true,
+    tokens: true,
     options: {
+      query: { type: "string", short: "q" },
       limit: { type: "string", short: "l" },
+      offset: { type: "string", short: "o" },
       condition: { type: "string", short: "c" },
       sort: { type: "string", short: "s" },
       timeout: { type: "string", short: "t" },
+      "max-time": { type: "string" },
       concurrency: { type: "string", short: "n" },
+      retries: { type: "string" },
+      "retry-max-delay": { type: "string" },
       state: { type: "string", short: "a" },
       category: { type: "string", short: "g" },
       "list-categories": { type: "boolean", short: "G", default: false },
+      depth: { type: "string" },
+      "refresh-categories": { type: "boolean", default: false },
+      site: { type: "string", short: "m" },
       strict: { type: "boolean", short: "S", default: false },
+      exclude: { type: "string", multiple: true },
+      where: { type: "string", multiple: true },
+      "min-price": { type: "string" },
+      "max-price": { type: "string" },
       "no-international": { type: "boolean", short: "I", default: false },
+      "full-only": { type: "boolean", default: false },
+      "max-delivery-days": { type: "string" },
       "no-details": { type: "boolean", short: "d", default: false },
+      reviews: { type: "string" },
+      "max-risk": { type: "string" },
+      "hide-risky": { type: "boolean", default: false },
+      rate: { type: "string" },
       "no-rate-limit": { type: "boolean", short: "R", default: false },
       "save-on-first": { type: "boolean", short: "1", default: false },
       "save-on-error": { type: "boolean", short: "e", default: false },
+      record: { type: "string" },
+      replay: { type: "string" },
+      "cache-dir": { type: "string" },
+      "cache-ttl": { type: "string" },
+      "no-cache": { type: "boolean", default: false },
+      track: { type: "boolean", default: false },
+      "history-file": { type: "string" },
+      items: { type: "string" },
+      below: { type: "string" },
+      "min-discount": { type: "string" },
+      "new-listings": { type: "boolean", default: false },
+      webhook: { type: "string" },
+      exec: { type: "string" },
+      "watch-file": { type: "string" },
+      expired: { type: "boolean", default: false },
       log: { type: "boolean", short: "L", default: false },
       format: { type: "string", short: "f" },
       pretty: { type: "boolean", short: "p", default: false },
       raw: { type: "boolean", short: "r", default: false },
+      facets: { type: "boolean", default: false },
+      filter: { type: "string", multiple: true },
       fields: { type: "string", short: "F" },
+      "expand-variations": { type: "boolean", default: false },
+      "group-by": { type: "string" },
+      "group-similar": { type: "boolean", default: false },
+      stats: { type: "boolean", default: false },
+      "diff-against": { type: "string" },
       web: { type: "boolean", short: "w", default: false },
       "save-json": { type: "boolean", short: "j", default: false },
       help: { type: "boolean", short: "h", default: false },
@@ -108,27 +235,24 @@ try {
   error(`${e.message}\n  Run "ml-search --help" for usage info.`);
 }
 
-const { values: opts, positionals } = parsed;
+const { values: opts, positionals, tokens } = parsed;
+
+// The first positional names a subcommand unless the query is given with
+// --query or after "--", so "ml-search -- watch apple" searches for "watch apple".
+const terminator = tokens.find((t) => t.kind === "option-terminator");
+const firstPositional = tokens.find((t) => t.kind === "positional");
+const command = opts.query != null || (terminator && firstPositional && firstPositional.index > terminator.index) ? null : positionals[0];
 
 if (opts.help) {
   process.stdout.write(HELP + "\n");
   process.exit(0);
 }
 
-if (opts["list-categories"]) {
-  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
-  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
-  const cats = getCategories();
-  console.log(bold("\nCategorias disponíveis no Mercado Livre (MLB):\n"));
-  console.log(`  ${bold("ID".padEnd(12))} ${bold("Nome")}`);
-  console.log(dim(`  ${"-".repeat(11)} ${"-".repeat(40)}`));
-  for (const cat of cats) {
-    console.log(`  ${cat.id.padEnd(12)} ${cat.name}`);
-  }
-  console.log(dim(`\n  Total: ${cats.length} categorias`));
-  console.log(dim(`  Uso: ml-search "query" --category MLB1648`));
-  console.log();
-  process.exit(0);
+const sites = getSites();
+const siteId = (opts.site || "MLB").toUpperCase();
+const siteInfo = sites.find((s) => s.id === siteId);
+if (!siteInfo) {
+  error(`Unknown --site "${opts.site}". Supported: ${sites.map((s) => s.id).join(", ")}`);
 }
 
 if (opts.version) {
@@ -141,14 +265,40 @@ if (opts.version) {
   process.exit(0);
 }
 
-const query = positionals.join(" ").trim();
-if (!query) {
+const cacheTtl = { ...DEFAULT_CACHE_TTL };
+if (opts["cache-ttl"]) {
+  const parts = opts["cache-ttl"].split(",").map((p) => Number(p.trim()));
+  if (parts.length > 2 || parts.some((n) => !Number.isInteger(n) || n < 0)) {
+    error(`Invalid --cache-ttl "${opts["cache-ttl"]}". Use "<seconds>" or "<listing seconds>,<detail seconds>".`);
+  }
+  cacheTtl.listing = parts[0] * 1000;
+  cacheTtl.detail = (parts[1] ?? parts[0]) * 1000;
+}
+const cacheStore = createCache({ dir: opts["cache-dir"] || defaultCacheDir(), ttl: cacheTtl });
+
+if (command === "cache") {
+  await runCacheCommand(positionals[1], cacheStore, opts.expired);
+  process.exit(0);
+}
+
+const query = [opts.query ?? "", ...positionals].join(" ").trim();
+if (!query && !opts["list-categories"]) {
   error("No search query provided. Use --help for usage info.");
 }
 
 const limit = opts.limit ? parseInt(opts.limit, 10) : 20;
+const offset = opts.offset ? Number(opts.offset) : 0;
 const timeout = opts.timeout ? parseInt(opts.timeout, 10) : 15000;
 const concurrency = opts.concurrency ? parseInt(opts.concurrency, 10) : 5;
+const retries = opts.retries ? parseInt(opts.retries, 10) : 2;
+const retryMaxDelay = opts["retry-max-delay"] ? parseInt(opts["retry-max-delay"], 10) : 30000;
+const rate = opts.rate ? Number(opts.rate) : 3;
+const maxTime = opts["max-time"] ? Number(opts["max-time"]) : null;
+const reviews = opts.reviews ? Number(opts.reviews) : 0;
+const maxRisk = opts["max-risk"] != null ? Number(opts["max-risk"]) : opts["hide-risky"] ? RISK_LEVELS.high - 1 : undefined;
+const minPrice = opts["min-price"] != null ? Number(opts["min-price"]) : undefined;
+const maxPrice = opts["max-price"] != null ? Number(opts["max-price"]) : undefined;
+const maxDeliveryDays = opts["max-delivery-days"] != null ? Number(opts["max-delivery-days"]) : undefined;
 const format = (opts.format || "json").toLowerCase();
 const fields = opts.fields
   ? opts.fields
@@ -161,6 +311,31 @@ if (!["json", "table", "jsonl", "csv"].includes(format)) {
   error(`Unknown format "${format}". Supported: json, table, jsonl, csv`);
 }
 
+if (opts["group-by"] && opts["group-by"] !== "seller") {
+  error(`Unknown --group-by "${opts["group-by"]}". Supported: seller`);
+}
+
+if (opts["group-by"] && opts.web) {
+  error("The --group-by and --web flags cannot be used together. Remove one of them.");
+}
+
+if (opts["diff-against"] && (opts.web || opts["group-by"])) {
+  error(`The --diff-against and ${opts.web ? "--web" : "--group-by"} flags cannot be used together. Remove one of them.`);
+}
+
+if (opts["group-similar"] && (opts.web || opts["group-by"] || opts["diff-against"])) {
+  error(`The --group-similar and ${opts.web ? "--web" : opts["group-by"] ? "--group-by" : "--diff-against"} flags cannot be used together. Remove one of them.`);
+}
+
+if (opts["expand-variations"] && !["csv", "jsonl"].includes(format)) {
+  error("The --expand-variations flag only applies to csv and jsonl output. Add --format csv or --format jsonl.");
+}
+
+if (opts["expand-variations"] && (opts["no-details"] || opts.web || opts["group-by"] || opts["group-similar"] || opts["diff-against"])) {
+  const other = opts["no-details"] ? "--no-details" : opts.web ? "--web" : opts["group-by"] ? "--group-by" : opts["group-similar"] ? "--group-similar" : "--diff-against";
+  error(`The --expand-variations and ${other} flags cannot be used together. Remove one of them.`);
+}
+
 if (opts.sort && !["price_asc", "price_desc", "relevance"].includes(opts.sort)) {
   error(`Unknown --sort "${opts.sort}". Supported: price_asc, price_desc, relevance`);
 }
@@ -177,87 +352,279 @@ if (!Number.isInteger(limit) || limit < 1) {
   error(`Invalid --limit "${opts.limit}". It must be a positive integer.`);
 }
 
+if (!Number.isInteger(offset) || offset < 0) {
+  error(`Invalid --offset "${opts.offset}". It must be a non-negative integer.`);
+}
+
 if (!Number.isInteger(timeout) || timeout < 1) {
   error(`Invalid --timeout "${opts.timeout}". It must be a positive integer.`);
 }
 
+if (!Number.isInteger(retries) || retries < 0) {
+  error(`Invalid --retries "${opts.retries}". It must be a non-negative integer.`);
+}
+
+if (!Number.isInteger(retryMaxDelay) || retryMaxDelay < 1) {
+  error(`Invalid --retry-max-delay "${opts["retry-max-delay"]}". It must be a positive integer.`);
+}
+
+if (!Number.isFinite(rate) || rate <= 0) {
+  error(`Invalid --rate "${opts.rate}". It must be a positive number of requests per second.`);
+}
+
+if (minPrice !== undefined && !(Number.isFinite(minPrice) && minPrice >= 0)) {
+  error(`Invalid --min-price "${opts["min-price"]}". It must be a non-negative number.`);
+}
+
+if (maxPrice !== undefined && !(Number.isFinite(maxPrice) && maxPrice >= 0)) {
+  error(`Invalid --max-price "${opts["max-price"]}". It must be a non-negative number.`);
+}
+
+if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+  error(`The --min-price (${minPrice}) cannot be greater than --max-price (${maxPrice}).`);
+}
+
+if (maxDeliveryDays !== undefined && !(Number.isInteger(maxDeliveryDays) && maxDeliveryDays >= 0)) {
+  error(`Invalid --max-delivery-days "${opts["max-delivery-days"]}". It must be a non-negative integer.`);
+}
+
+if (!Number.isInteger(reviews) || reviews < 0) {
+  error(`Invalid --reviews "${opts.reviews}". It must be a non-negative integer.`);
+}
+
 try {
+  compileFilter({ where: opts.where, noDetails: opts["no-details"] });
+} catch (e) {
+  error(e.message);
+}
+
+if (maxRisk !== undefined && !(Number.isFinite(maxRisk) && maxRisk >= 0 && maxRisk <= 100)) {
+  error(`Invalid --max-risk "${opts["max-risk"]}". It must be a number from 0 to 100.`);
+}
+
+if (opts.depth != null && !(Number.isInteger(Number(opts.depth)) && Number(opts.depth) >= 1)) {
+  error(`Invalid --depth "${opts.depth}". It must be a positive integer.`);
+}
+
+if (maxTime !== null && !(Number.isFinite(maxTime) && maxTime > 0)) {
+  error(`Invalid --max-time "${opts["max-time"]}". It must be a positive number of seconds.`);
+}
+
+if (opts.record && opts.replay) {
+  error("The --record and --replay flags cannot be used together. Remove one of them.");
+}
+
+if (opts.replay && !fs.existsSync(opts.replay)) {
+  error(`Cassette directory "${opts.replay}" does not exist.`);
+}
+
+const history = opts.track || command === "history" ? createHistory({ file: opts["history-file"] || defaultHistoryFile() }) : null;
+
+if (command === "diff") {
+  if (positionals.length !== 3) {
+    usageError("The diff command takes two result files. Usage: ml-search diff <old.json> <new.json>");
+  }
+  outputDiff(diffResults(readResultFile(positionals[1]), readResultFile(positionals[2])), {}, format, opts.pretty);
+  process.exit(0);
+}
+
+const baseline = opts["diff-against"] ? readResultFile(opts["diff-against"]) : null;
+
+if (command === "history") {
+  await runHistoryCommand(positionals.slice(1), history);
+  process.exit(0);
+}
+
+const fetcher = opts.replay ? replayFetcher(opts.replay) : opts.record ? recordingFetcher(opts.record) : undefined;
+const cache = opts["no-cache"] || opts.record || opts.replay ? null : cacheStore;
+
+// The first Ctrl-C cancels the search and prints what was collected so far;
+// a second one falls back to the default handler and exits immediately.
+const interrupt = new AbortController();
+process.once("SIGINT", () => {
+  process.stderr.write("\n\x1b[33mInterrupted:\x1b[0m stopping, press Ctrl-C again to quit immediately.\n");
+  interrupt.abort();
+});
+
+const lookupOptions = {
+  site: siteId,
+  timeout,
+  fetcher,
+  cache,
+  retries,
+  retryMaxDelay,
+  rateLimiter: opts["no-rate-limit"] ? null : createRateLimiter({ rate }),
+  noRateLimit: opts["no-rate-limit"],
+  signal: interrupt.signal,
+  onErrorResponse: opts["save-on-error"] ? makeSaveCallback("ml-error") : null,
+};
+
+if (opts["list-categories"]) {
+  await runCategoriesCommand(query, { ...lookupOptions, depth: opts.depth != null ? Number(opts.depth) : null, refresh: opts["refresh-categories"] });
+  closeLogger();
+  process.exit(0);
+}
+
+if (command === "item" || command === "seller") {
+  const failed = await runLookupCommand(command, positionals.slice(1), lookupOptions);
+  closeLogger();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (command === "watch") {
+  const failed = await runWatchCommand(positionals[1], positionals.slice(2), createWatchlist({ file: opts["watch-file"] || defaultWatchFile() }), lookupOptions);
+  closeLogger();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (command === "reviews") {
+  await runReviewsCommand(positionals.slice(1), { ...lookupOptions, limit });
+  closeLogger();
+  process.exit(0);
+}
+
+try {
+  const pageOptions = {
+    condition: opts.condition,
+    timeout,
+    sort: opts.sort,
+    site: siteId,
+    state: opts.state,
+    category: opts.category,
+    noInternational: opts["no-international"],
+    offset,
+    minPrice,
+    maxPrice,
+    filter: opts.filter,
+    fetcher,
+    cache,
+    retries,
+    retryMaxDelay,
+    signal: interrupt.signal,
+  };
+
   if (opts.raw) {
-    const raw = await searchRaw(query, {
-      condition: opts.condition,
-      timeout,
-      sort: opts.sort,
-      state: opts.state,
-      category: opts.category,
-      noInternational: opts["no-international"],
-    });
+    const raw = await searchRaw(query, pageOptions);
     console.log(JSON.stringify(raw, null, 2));
     process.exit(0);
   }
 
-  const result = await search(query, {
+  if (opts.facets) {
+    outputFacets(await getFacets(query, pageOptions), format, opts.pretty);
+    process.exit(0);
+  }
+
+  const searchOptions = {
     limit,
+    offset,
     condition: opts.condition,
     timeout,
     sort: opts.sort,
     concurrency,
+    site: siteId,
     state: opts.state,
     category: opts.category,
     strict: opts.strict,
+    exclude: opts.exclude,
+    where: opts.where,
+    filter: opts.filter,
+    minPrice,
+    maxPrice,
+    fullOnly: opts["full-only"],
+    maxDeliveryDays,
     noInternational: opts["no-international"],
     noRateLimit: opts["no-rate-limit"],
     noDetails: opts["no-details"],
+    reviews,
+    maxRisk,
+    history: history ?? undefined,
+    fetcher,
+    cache,
+    retries,
+    retryMaxDelay,
+    rate,
+    signal: interrupt.signal,
+    maxTime: maxTime !== null ? maxTime * 1000 : undefined,
     onFirstResponse: opts["save-on-first"] ? makeSaveCallback("ml-first") : null,
     onErrorResponse: opts["save-on-error"] ? makeSaveCallback("ml-error") : null,
-  });
+  };
 
-  let items = result.items;
+  let result;
+  let got;
+  // searchStream keeps page order and scores nothing, so anything that sorts, merges states or reads risk scores needs search().
+  const localSort = opts.sort === "price_asc" || opts.sort === "price_desc";
+  const multiState = (opts.state ?? "").split(",").filter((s) => s.trim()).length > 1;
+  if (format === "jsonl" && !opts.web && !opts["save-json"] && !opts["group-by"] && !opts["group-similar"] && !opts.stats && maxRisk === undefined && !baseline && !localSort && !multiState) {
+    ({ result, count: got } = await streamJsonl(query, searchOptions, fields, opts["expand-variations"]));
+  } else {
+    result = await search(query, searchOptions);
+    got = result.items.length;
+    if (opts.stats) result.priceStats = priceStats(result.items);
+
+    const rows = opts["expand-variations"] ? expandVariations(result.items) : result.items;
+    const items = fields ? rows.map((item) => pickFields(item, fields)) : rows;
+
+    if (opts.web) {
+      await openInBrowser(result, items, siteInfo);
+    } else if (opts["group-by"] === "seller") {
+      outputGroups(groupBySeller(result.items), result, format, opts.pretty);
+    } else if (opts["group-similar"]) {
+      outputClusters(groupSimilar(result.items), result, format, opts.pretty);
+    } else if (baseline) {
+      const { items: _, ...rest } = result;
+      outputDiff(diffResults(baseline, result.items), rest, format, opts.pretty);
+    } else {
+      output(items, result, format, opts.pretty);
+    }
 
-  if (fields) {
-    items = items.map((item) => {
-      const filtered = {};
-      for (const f of fields) {
-        if (f in item) filtered[f] = item[f];
-      }
-      return filtered;
-    });
+    if (opts.stats && format !== "json" && !opts.web) {
+      printPriceStats(result.priceStats, format === "table" ? (line) => console.log(line) : (line) => process.stderr.write(line + "\n"));
+    }
+
+    if (opts["save-json"]) {
+      const ts = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").substring(0, 19);
+      const fname = `ml-results_${ts}.json`;
+      fs.writeFileSync(fname, JSON.stringify({ ...result, items }, null, 2), "utf-8");
+      process.stderr.write(`\x1b[32mSaved:\x1b[0m ${fname}\n`);
+    }
   }
 
-  if (opts.web) {
-    await openInBrowser(result, items);
-  } else {
-    output(items, result, format, opts.pretty);
+  if (opts.record) {
+    process.stderr.write(`\x1b[32mRecorded:\x1b[0m cassette saved to ${opts.record}\n`);
   }
 
-  if (opts["save-json"]) {
-    const ts = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").substring(0, 19);
-    const fname = `ml-results_${ts}.json`;
-    fs.writeFileSync(fname, JSON.stringify({ ...result, items }, null, 2), "utf-8");
-    process.stderr.write(`\x1b[32mSaved:\x1b[0m ${fname}\n`);
+  if (history) {
+    process.stderr.write(`\x1b[32mTracked:\x1b[0m ${got} price${got !== 1 ? "s" : ""} added to ${history.file}\n`);
   }
 
-  const got = result.items.length;
   const platformMax = result.pagination.resultsLimit;
-  if (got < limit) {
+  if (result.partial) {
+    const reason = interrupt.signal.aborted ? "Interrupted" : `Time budget of ${opts["max-time"]}s exhausted`;
+    process.stderr.write(`\x1b[33mPartial:\x1b[0m ${reason}; returned the ${got} item${got !== 1 ? "s" : ""} collected so far.\n`);
+  } else if (got < limit) {
     if (result.pagination.capped) {
       process.stderr.write(`\x1b[33mNote:\x1b[0m Returned ${got} of ${limit} requested.`);
       if (platformMax && limit > platformMax) {
-        process.stderr.write(` The platform limits browsable results to ${platformMax.toLocaleString("pt-BR")}.`);
+        process.stderr.write(` The platform limits browsable results to ${platformMax.toLocaleString(siteInfo.locale)}.`);
       } else {
         const total = result.pagination.total;
         if (total > got) {
-          process.stderr.write(` ${total.toLocaleString("pt-BR")} total results available on Mercado Livre.`);
+          process.stderr.write(` ${total.toLocaleString(siteInfo.locale)} total results available on ${siteInfo.name}.`);
         }
       }
       process.stderr.write("\n");
     }
   } else if (platformMax && limit > platformMax) {
-    process.stderr.write(`\x1b[33mNote:\x1b[0m The platform limits browsable results to ${platformMax.toLocaleString("pt-BR")}. Requested: ${limit}.\n`);
+    process.stderr.write(`\x1b[33mNote:\x1b[0m The platform limits browsable results to ${platformMax.toLocaleString(siteInfo.locale)}. Requested: ${limit}.\n`);
+  }
+
+  if (result.pagination.nextOffset != null && (result.partial || result.pagination.capped)) {
+    process.stderr.write(`\x1b[2mContinue with: --offset ${result.pagination.nextOffset}\x1b[0m\n`);
   }
 
   if (result.stats) {
     const s = result.stats;
-    log("CLI", `Requests: ${s.requests} total (${s.pageRequests} page${s.pageRequests !== 1 ? "s" : ""} + ${s.detailRequests} detail${s.detailRequests !== 1 ? "s" : ""})`);
+    log("CLI", `Requests: ${s.requests} total (${s.pageRequests} page${s.pageRequests !== 1 ? "s" : ""} + ${s.detailRequests} detail${s.detailRequests !== 1 ? "s" : ""}), cache: ${s.cacheHits} hit${s.cacheHits !== 1 ? "s" : ""} / ${s.cacheMisses} miss${s.cacheMisses !== 1 ? "es" : ""}, retries: ${s.retries}`);
   }
 } catch (e) {
   log("CLI", "Fatal error", e);
@@ -267,6 +634,52 @@ try {
 
 closeLogger();
 
+// Requests cancelled by an abort may still be settling in the transport; don't wait for them.
+if (interrupt.signal.aborted || maxTime !== null) process.exit(0);
+
+/**
+ * Keeps only the requested fields of an item.
+ *
+ * @param {object} item - Result item.
+ * @param {string[]} fields - Field names to keep.
+ * @returns {object} A new object with the selected fields.
+ */
+function pickFields(item, fields) {
+  const filtered = {};
+  for (const f of fields) {
+    if (f in item) filtered[f] = item[f];
+  }
+  return filtered;
+}
+
+/**
+ * Streams results as JSON Lines using {@link searchStream}: each item is
+ * printed as soon as it is final (parsed with `--no-details`, enriched
+ * otherwise), so output starts before the whole search completes.
+ *
+ * @param {string} query - The search query.
+ * @param {object} searchOptions - Options forwarded to `searchStream`.
+ * @param {string[]|null} fields - Fields to keep, or `null` for all.
+ * @param {boolean} [expand=false] - Print one line per variation (see {@link expandVariations}).
+ * @returns {Promise<{result: object, count: number}>} The final `done` event (without items) and the number of items printed.
+ */
+async function streamJsonl(query, searchOptions, fields, expand = false) {
+  const finalType = searchOptions.noDetails ? "item" : "details";
+  let count = 0;
+  let result = null;
+  for await (const event of searchStream(query, searchOptions)) {
+    if (event.type === finalType) {
+      for (const row of expand ? expandVariations([event.item]) : [event.item]) {
+        console.log(JSON.stringify(fields ? pickFields(row, fields) : row));
+      }
+      count++;
+    } else if (event.type === "done") {
+      result = event;
+    }
+  }
+  return { result, count };
+}
+
 /**
  * Prints search results to stdout in the requested format.
  *
@@ -296,7 +709,7 @@ function output(items, result, fmt, pretty) {
       break;
 
     case "table":
-      outputTable(items);
+      outputTable(items, siteInfo);
       break;
   }
 }
@@ -307,8 +720,9 @@ function output(items, result, fmt, pretty) {
  * seller, rating, photo count, attributes, and a description snippet.
  *
  * @param {object[]} items - Parsed search result items.
+ * @param {{currency: string, locale: string}} site - Site the results came from; drives price formatting.
  */
-function outputTable(items) {
+function outputTable(items, site) {
   if (items.length === 0) {
     console.log("Nenhum resultado encontrado.");
     return;
@@ -319,6 +733,7 @@ function outputTable(items) {
   const green = (s) => `\x1b[32m${s}\x1b[0m`;
   const yellow = (s) => `\x1b[33m${s}\x1b[0m`;
   const cyan = (s) => `\x1b[36m${s}\x1b[0m`;
+  const red = (s) => `\x1b[31m${s}\x1b[0m`;
 
   console.log(dim(`─── Found ${items.length} result${items.length === 1 ? "" : "s"} ───`));
   console.log();
@@ -335,12 +750,12 @@ function outputTable(items) {
           .toUpperCase()
       ] ||
       item.currency ||
-      "BRL";
+      site.currency;
     let priceStr;
     try {
-      priceStr = new Intl.NumberFormat("pt-BR", { style: "currency", currency: code }).format(item.price || 0);
+      priceStr = new Intl.NumberFormat(site.locale, { style: "currency", currency: code }).format(item.price || 0);
     } catch {
-      priceStr = `${item.currency || "BRL"} ${(item.price || 0).toLocaleString("pt-BR", { minimumFractionDigits: 2 })}`;
+      priceStr = `${item.currency || site.currency} ${(item.price || 0).toLocaleString(site.locale, { minimumFractionDigits: 2 })}`;
     }
     const price = green(priceStr);
 
@@ -348,9 +763,11 @@ function outputTable(items) {
     if (item.bestSeller) badges += `\x1b[35;1m [BEST SELLER]\x1b[0m`;
     else if (item.highlight) badges += yellow(` [${item.highlight}]`);
     if (item.freeShipping) badges += cyan(" [FRETE GRÁTIS]");
+    if (item.shippingInfo?.full) badges += green(" [FULL]");
     if (item.discountPercent) badges += yellow(` -${item.discountPercent}%`);
-    if (item.originalPrice) badges += dim(` (was ${item.originalPrice.toLocaleString("pt-BR", { minimumFractionDigits: 2 })})`);
+    if (item.originalPrice) badges += dim(` (was ${item.originalPrice.toLocaleString(site.locale, { minimumFractionDigits: 2 })})`);
     if (item.isAd) badges += dim(" [ad]");
+    if (item.risk && item.risk.level !== "low") badges += (item.risk.level === "high" ? red : yellow)(` [RISK ${item.risk.score}]`);
 
     const seller = item.seller ? dim(` • ${item.seller}`) : "";
     const link = item.permalink ? dim(`  ${item.permalink}`) : "";
@@ -366,7 +783,10 @@ function outputTable(items) {
     console.log(`${num} ${title}`);
     console.log(`    ${price}${badges}${seller}`);
     if (ratingLine) console.log(ratingLine);
+    const ship = item.shippingInfo;
+    if (ship?.delivery || ship?.origin) console.log(dim(`    ${[ship.delivery?.text, ship.origin && `from ${ship.origin}`].filter(Boolean).join(" • ")}`));
     if (link) console.log(`    ${link}`);
+    if (item.risk && item.risk.level !== "low") console.log((item.risk.level === "high" ? red : yellow)(`    ⚠ ${item.risk.signals.map((s) => s.detail).join("; ")}`));
 
     if (item.pictures && item.pictures.length > 0) {
       console.log(dim(`    PHOTOS: ${item.pictures.length} foto${item.pictures.length === 1 ? "" : "s"}`));
@@ -422,9 +842,10 @@ function outputCsv(items) {
  *
  * @param {object} result - The full search result from {@link search}.
  * @param {object[]} items - The (possibly field-filtered) items to render.
+ * @param {{name: string, homepage: string, currency: string, locale: string}} site - Site the results came from.
  * @returns {string} A complete HTML document as a string.
  */
-function generateHtml(result, items) {
+function generateHtml(result, items, site) {
   const { query, pagination } = result;
 
   const esc = (s) =>
@@ -439,13 +860,13 @@ function generateHtml(result, items) {
     const u = String(c || "")
       .trim()
       .toUpperCase();
-    return CURRENCY_MAP[u] ?? (u.length === 3 ? u : "BRL");
+    return CURRENCY_MAP[u] ?? (u.length === 3 ? u : site.currency);
   };
   const fmtPrice = (price, currency) => {
     try {
-      return new Intl.NumberFormat("pt-BR", { style: "currency", currency: safeCurrency(currency) }).format(price);
+      return new Intl.NumberFormat(site.locale, { style: "currency", currency: safeCurrency(currency) }).format(price);
     } catch {
-      return `${currency || "BRL"} ${price}`;
+      return `${currency || site.currency} ${price}`;
     }
   };
 
@@ -458,7 +879,7 @@ function generateHtml(result, items) {
   const fmtDate = (dateStr) => {
     if (!dateStr) return "";
     try {
-      return new Date(dateStr).toLocaleDateString("pt-BR");
+      return new Date(dateStr).toLocaleDateString(site.locale);
     } catch {
       return "";
     }
@@ -474,7 +895,7 @@ function generateHtml(result, items) {
     const thumbPh = `<div class="thumb-ph"${mainSrc ? ' style="display:none"' : ""}><svg width="52" height="52" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.2"><rect x="2" y="2" width="20" height="20" rx="3"/><path d="M2 15l5-5 4 4 3-3 5 5"/><circle cx="8" cy="8" r="2"/></svg></div>`;
     const galleryStrip = allPics.length > 1 ? `<div class="gallery-strip">${allPics.map((url, gi) => `<button class="gal-btn${gi === 0 ? " active" : ""}" data-src="${esc(url)}" type="button" aria-label="Foto ${gi + 1}"><img src="${esc(url)}" loading="lazy" alt=""></button>`).join("")}</div>` : "";
 
-    const badges = [item.discountPercent != null && `<span class="b disc">-${item.discountPercent}%</span>`, item.bestSeller && `<span class="b best">Mais Vendido</span>`, !item.bestSeller && item.highlight && `<span class="b hl">${esc(item.highlight)}</span>`, item.freeShipping && `<span class="b ship">Frete Gr\xE1tis</span>`, item.isAd && `<span class="b ad">Patrocinado</span>`].filter(Boolean).join("");
+    const badges = [item.discountPercent != null && `<span class="b disc">-${item.discountPercent}%</span>`, item.bestSeller && `<span class="b best">Mais Vendido</span>`, !item.bestSeller && item.highlight && `<span class="b hl">${esc(item.highlight)}</span>`, item.freeShipping && `<span class="b ship">Frete Gr\xE1tis</span>`, item.isAd && `<span class="b ad">Patrocinado</span>`, item.risk && item.risk.level !== "low" && `<span class="b risk ${item.risk.level}" title="${esc(item.risk.signals.map((s) => s.detail).join("\n"))}">Risco ${item.risk.level === "high" ? "alto" : "m\xE9dio"} (${item.risk.score})</span>`].filter(Boolean).join("");
 
     const priceHtml = item.price != null ? `<div class="price-row"><span class="price">${esc(fmtPrice(item.price, item.currency))}</span>${item.originalPrice != null ? `<span class="orig">${esc(fmtPrice(item.originalPrice, item.currency))}</span>` : ""}</div>` : "";
 
@@ -505,8 +926,8 @@ function generateHtml(result, items) {
 
   const sortMap = { price_asc: "price-asc", price_desc: "price-desc", relevance: "relevance" };
   const initialSort = sortMap[query.sort] || "relevance";
-  const total = (pagination.total || items.length).toLocaleString("pt-BR");
-  const now = new Date().toLocaleString("pt-BR");
+  const total = (pagination.total || items.length).toLocaleString(site.locale);
+  const now = new Date().toLocaleString(site.locale);
   const cardsHtml = items.length > 0 ? items.map((item, i) => card(item, i)).join("\n") : '<p class="empty">Nenhum resultado encontrado.</p>';
 
   const css = `*,*::before,*::after{box-sizing:border-box;margin:0;padding:0}
@@ -585,6 +1006,8 @@ main{max-width:var(--page-max);margin:0 auto;padding:var(--main-pt) var(--main-p
 .b.hl{background:var(--hl-bg);color:var(--hl-fg)}
 .b.ship{background:var(--ship-bg);color:var(--ship-fg)}
 .b.ad{background:var(--ad-bg);color:var(--ad-fg)}
+.b.risk{background:#f59e0b;color:#fff;cursor:help}
+.b.risk.high{background:#dc2626}
 .title-a{text-decoration:none;color:inherit}
 .card-title{font-size:.875rem;font-weight:500;line-height:1.45;color:var(--text);display:-webkit-box;-webkit-line-clamp:3;-webkit-box-orient:vertical;overflow:hidden;transition:color .15s}
 .title-a:hover .card-title{color:#1a56db}
@@ -854,7 +1277,7 @@ footer a{color:inherit}
 ${cardsHtml}
   </div>
 </main>
-<footer>Gerado por <strong>ml-search-cli</strong> &middot; Dados do <a href="https://www.mercadolivre.com.br" target="_blank" rel="noopener noreferrer">Mercado Livre</a></footer>
+<footer>Gerado por <strong>ml-search-cli</strong> &middot; Dados do <a href="${esc(site.homepage)}" target="_blank" rel="noopener noreferrer">${esc(site.name)}</a></footer>
 <div class="lightbox" id="lightbox" role="dialog" aria-modal="true" aria-label="Galeria de imagens">
   <button class="lb-close" id="lb-close" aria-label="Fechar">&times;</button>
   <button class="lb-nav lb-prev" id="lb-prev" aria-label="Foto anterior">&#8249;</button>
@@ -872,15 +1295,16 @@ ${cardsHtml}
  *
  * @param {object} result - The full search result from {@link search}.
  * @param {object[]} items - The (possibly field-filtered) items to render.
+ * @param {object} site - Site the results came from (see {@link generateHtml}).
  * @returns {Promise<void>}
  */
-async function openInBrowser(result, items) {
+async function openInBrowser(result, items, site) {
   const { writeFileSync } = await import("node:fs");
   const { tmpdir } = await import("node:os");
   const { spawn } = await import("node:child_process");
   const { join } = await import("node:path");
 
-  const html = generateHtml(result, items);
+  const html = generateHtml(result, items, site);
   const file = join(tmpdir(), `ml-search-${Date.now()}.html`);
   writeFileSync(file, html, "utf8");
 
@@ -917,6 +1341,611 @@ function makeSaveCallback(prefix) {
   };
 }
 
+/**
+ * Runs the `item` and `seller` subcommands: looks each input up with
+ * {@link getItem} or {@link getSeller}, at most `--concurrency` at a time, and
+ * prints the results in the requested format. Failed lookups are reported on
+ * stderr and listed under `errors` in JSON output.
+ *
+ * @param {'item'|'seller'} command - Subcommand name.
+ * @param {string[]} inputs - Item IDs/URLs or seller nicknames/IDs.
+ * @param {object} lookupOptions - Options forwarded to `getItem`/`getSeller`.
+ * @returns {Promise<number>} Number of failed lookups.
+ */
+async function runLookupCommand(command, inputs, lookupOptions) {
+  if (inputs.length === 0) {
+    usageError(command === "item" ? "No item ID or URL provided. Usage: ml-search item <id|url>..." : "No seller nickname or ID provided. Usage: ml-search seller <nickname|id>...");
+  }
+  const lookup = command === "item" ? getItem : getSeller;
+  const found = new Array(inputs.length).fill(null);
+  const errors = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < inputs.length && !interrupt.signal.aborted) {
+      const i = next++;
+      try {
+        found[i] = await lookup(inputs[i], lookupOptions);
+      } catch (e) {
+        errors.push({ input: inputs[i], error: e.message });
+        process.stderr.write(`\x1b[31mError:\x1b[0m ${inputs[i]}: ${e.message}\n`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, inputs.length) }, worker));
+
+  const results = found.filter(Boolean);
+  const selected = fields ? results.map((r) => pickFields(r, fields)) : results;
+  if (command === "seller" && format === "table") outputSellerTable(selected);
+  else output(selected, { errors }, format, opts.pretty);
+  log("CLI", `${command}: ${results.length} fetched, ${errors.length} failed`);
+  return errors.length;
+}
+
+/**
+ * Runs the `watch` subcommand: `add` stores a query (with the current search
+ * filters) or `--items` together with alert conditions, `list` prints the
+ * entries, `remove` deletes one, and `run` evaluates them all. Without
+ * `--webhook` or `--exec`, `run` prints the alerts to stdout.
+ *
+ * @param {string} action - `add`, `list`, `remove` or `run`.
+ * @param {string[]} args - Remaining positionals (the query for `add`, the ID for `remove`).
+ * @param {object} watchlist - Watchlist from {@link createWatchlist}.
+ * @param {object} runOptions - Options forwarded to `search`/`getItem` by `run`.
+ * @returns {Promise<number>} Number of failed entries or deliveries.
+ */
+async function runWatchCommand(action, args, watchlist, runOptions) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+
+  if (action === "add") {
+    let entry;
+    try {
+      entry = await watchlist.add({
+        query: args.join(" "),
+        items: opts.items ? opts.items.split(",") : null,
+        filters: { site: opts.site ? siteId : undefined, condition: opts.condition, category: opts.category, state: opts.state, strict: opts.strict, exclude: opts.exclude, where: opts.where, filter: opts.filter, minPrice, maxPrice, fullOnly: opts["full-only"], maxDeliveryDays, limit: opts.limit ? limit : undefined, noInternational: opts["no-international"] },
+        below: opts.below != null ? Number(opts.below) : undefined,
+        minDiscount: opts["min-discount"] != null ? Number(opts["min-discount"]) : undefined,
+        newListings: opts["new-listings"],
+      });
+    } catch (e) {
+      error(e.message);
+    }
+    process.stderr.write(`\x1b[32mAdded:\x1b[0m watch ${entry.id}: ${describeWatch(entry)}\n`);
+    return 0;
+  }
+
+  if (action === "list") {
+    const entries = await watchlist.list();
+    if (format === "json") {
+      console.log(JSON.stringify(entries, null, opts.pretty ? 2 : undefined));
+    } else if (format === "table") {
+      if (entries.length === 0) console.log(dim(`No watches in ${watchlist.file}. Add one with "ml-search watch add".`));
+      for (const e of entries) {
+        console.log(`  ${bold(e.id.padStart(3))}  ${describeWatch(e)}`);
+        console.log(dim(`       last run: ${e.lastRunAt ?? "never"}, ${Object.keys(e.alerted).length} alerted`));
+      }
+    } else {
+      output(entries, {}, format, opts.pretty);
+    }
+    return 0;
+  }
+
+  if (action === "remove") {
+    if (args.length !== 1) usageError("Usage: ml-search watch remove <id>");
+    if (!(await watchlist.remove(args[0]))) error(`No watch with ID "${args[0]}". See "ml-search watch list".`);
+    process.stderr.write(`\x1b[32mRemoved:\x1b[0m watch ${args[0]}\n`);
+    return 0;
+  }
+
+  if (action === "run") {
+    let result;
+    try {
+      result = await watchlist.run({ ...runOptions, webhook: opts.webhook ?? null, command: opts.exec ?? null, id: args[0] ?? null });
+    } catch (e) {
+      error(e.message);
+    }
+    if (!opts.webhook && !opts.exec) {
+      if (format === "json") {
+        console.log(JSON.stringify(result, null, opts.pretty ? 2 : undefined));
+      } else if (format === "table") {
+        for (const a of result.alerts) {
+          console.log(`  ${bold(a.item.title ?? a.item.id)}  ${a.item.currency ?? ""} ${a.item.price ?? "?"}${a.previousPrice != null ? dim(` (was ${a.previousPrice})`) : ""}`);
+          console.log(dim(`    watch ${a.watch}: ${a.reasons.join(", ")}  ${a.item.permalink ?? ""}`));
+        }
+      } else {
+        output(result.alerts, {}, format, opts.pretty);
+      }
+    }
+    for (const e of result.errors) process.stderr.write(`\x1b[31mError:\x1b[0m watch ${e.watch}: ${e.error}\n`);
+    process.stderr.write(`\x1b[32mWatch:\x1b[0m ${result.checked} watch${result.checked === 1 ? "" : "es"} checked, ${result.alerts.length} alert${result.alerts.length === 1 ? "" : "s"}${opts.webhook || opts.exec ? " sent" : ""}\n`);
+    return result.errors.length;
+  }
+
+  usageError(`Unknown watch command "${action ?? ""}". Supported: add, list, remove, run`);
+}
+
+/**
+ * Runs the `history` subcommand: prints the recorded price timeline of one
+ * listing with its all-time lowest and highest price. JSON output is the
+ * whole timeline; jsonl and csv print one observation per row.
+ *
+ * @param {string[]} inputs - Exactly one item ID or URL.
+ * @param {object} store - Price history from {@link createHistory}.
+ * @returns {Promise<void>}
+ */
+async function runHistoryCommand(inputs, store) {
+  if (inputs.length !== 1) {
+    usageError("The history command takes exactly one item ID or URL. Usage: ml-search history <id|url>");
+  }
+  const timeline = await store.timeline(inputs[0]);
+  if (!timeline) {
+    error(`No price history for "${inputs[0]}" in ${store.file}. Run a search with --track first.`);
+  }
+  const points = fields ? timeline.points.map((p) => pickFields(p, fields)) : timeline.points;
+
+  if (format === "table") {
+    outputHistoryTable(timeline);
+  } else if (format === "json") {
+    console.log(JSON.stringify({ ...timeline, points }, null, opts.pretty ? 2 : undefined));
+  } else {
+    output(points, {}, format, opts.pretty);
+  }
+}
+
+/**
+ * Renders a price timeline as one row per observation, marking the lowest
+ * and highest prices, followed by a summary of the latest price.
+ *
+ * @param {object} timeline - Result of `history.timeline()`.
+ */
+function outputHistoryTable(timeline) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  const green = (s) => `\x1b[32m${s}\x1b[0m`;
+  const red = (s) => `\x1b[31m${s}\x1b[0m`;
+  const locale = siteInfo.locale;
+  const money = (n) => (n == null ? "—" : `${timeline.currency ?? ""} ${n.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`.trim());
+  const when = (at) => new Date(at).toLocaleString(locale, { dateStyle: "short", timeStyle: "short" });
+  const { lowest, highest, current } = timeline;
+
+  console.log(bold(`\n${timeline.id}`) + (timeline.title ? `  ${timeline.title}` : ""));
+  console.log(dim(`─── ${timeline.points.length} observation${timeline.points.length === 1 ? "" : "s"} ───`));
+  for (const p of timeline.points) {
+    let price = money(p.price).padStart(16);
+    if (lowest && p.price === lowest.price) price = green(price);
+    else if (highest && p.price === highest.price) price = red(price);
+    const extra = [p.originalPrice != null ? dim(`was ${money(p.originalPrice)}`) : null, p.discountPercent ? green(`${p.discountPercent}% OFF`) : null, p.seller ? dim(p.seller) : null].filter(Boolean).join("  ");
+    console.log(`  ${dim(when(p.at).padEnd(18))} ${price}  ${extra}`);
+  }
+  console.log();
+  if (lowest) console.log(`  Lowest:  ${green(money(lowest.price))} ${dim(`on ${when(lowest.at)}`)}`);
+  if (highest) console.log(`  Highest: ${red(money(highest.price))} ${dim(`on ${when(highest.at)}`)}`);
+  if (current) {
+    const position = current.price === lowest.price ? green("at its all-time low") : `${current.aboveLowestPercent}% above lowest, ${current.belowHighestPercent}% below highest`;
+    console.log(`  Current: ${bold(money(current.price))} ${dim("—")} ${position}`);
+  }
+  console.log();
+}
+
+/**
+ * Runs `--list-categories`: discovers the category tree down to `--depth`
+ * (reusing the cached tree) and prints it indented. A name lists every
+ * matching category found so far with its ancestors, at any depth unless
+ * `--depth` is given.
+ *
+ * @param {string} name - Name filter; empty to list everything.
+ * @param {object} options - Options forwarded to `discoverCategories`, with `depth` (`null` when not given).
+ * @returns {Promise<void>}
+ */
+async function runCategoriesCommand(name, options) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+
+  let tree;
+  try {
+    tree = await discoverCategories({ ...options, depth: options.depth ?? 1 });
+  } catch (e) {
+    error(e.message);
+  }
+  const rows = categoryRows(tree, { depth: options.depth ?? (name ? Infinity : 1), match: name || undefined });
+
+  console.log(bold(`\nCategorias disponíveis no ${siteInfo.name} (${siteId})${name ? ` para "${name}"` : ""}:\n`));
+  console.log(`  ${bold("ID".padEnd(12))} ${bold("Nome")}`);
+  console.log(dim(`  ${"-".repeat(11)} ${"-".repeat(40)}`));
+  for (const row of rows) {
+    const label = "  ".repeat(row.level - 1) + row.name;
+    const results = row.results != null ? dim(` (${row.results.toLocaleString(siteInfo.locale)})`) : "";
+    console.log(`  ${row.id.padEnd(12)} ${name && !row.matched ? dim(label) : label}${results}`);
+  }
+  const shown = name ? rows.filter((r) => r.matched).length : rows.length;
+  console.log(dim(`\n  Total: ${shown} categorias`));
+  if (tree.updatedAt) console.log(dim(`  Árvore: ${defaultCategoryFile(siteId)} (atualizada em ${tree.updatedAt.slice(0, 10)})`));
+  console.log(dim(`  Uso: ml-search "query" --category ${rows.find((r) => r.matched)?.id ?? "MLB1648"}`));
+  console.log();
+}
+
+/**
+ * Runs the `reviews` subcommand: fetches up to `--limit` reviews of one
+ * listing with {@link getReviews} and prints them in the requested format.
+ * JSON output includes the totals and star histogram; the other formats print
+ * one review per row.
+ *
+ * @param {string[]} inputs - Exactly one item ID or URL.
+ * @param {object} reviewOptions - Options forwarded to `getReviews`.
+ * @returns {Promise<void>}
+ */
+async function runReviewsCommand(inputs, reviewOptions) {
+  if (inputs.length !== 1) {
+    usageError("The reviews command takes exactly one item ID or URL. Usage: ml-search reviews <id|url>");
+  }
+  let result;
+  try {
+    result = await getReviews(inputs[0], reviewOptions);
+  } catch (e) {
+    log("CLI", "Fatal error", e);
+    error(e.message);
+  }
+  const list = fields ? result.reviews.map((r) => pickFields(r, fields)) : result.reviews;
+
+  if (format === "table") {
+    outputReviewsTable(result, list);
+  } else if (format === "json") {
+    console.log(JSON.stringify({ ...result, reviews: list }, null, opts.pretty ? 2 : undefined));
+  } else {
+    output(list, {}, format, opts.pretty);
+  }
+  log("CLI", `reviews: ${list.length} of ${result.total ?? "?"} for ${result.id}`);
+}
+
+/**
+ * Renders a listing's reviews as a star histogram followed by one card per
+ * review.
+ *
+ * @param {object} result - Result of {@link getReviews}.
+ * @param {object[]} list - Reviews to print (possibly field-filtered).
+ */
+function outputReviewsTable(result, list) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  const yellow = (s) => `\x1b[33m${s}\x1b[0m`;
+  const stars = (n) => "★".repeat(n) + "☆".repeat(5 - n);
+
+  console.log(bold(`\n${result.id}`) + (result.average != null ? yellow(`  ${result.average} ★`) : "") + dim(`  ${result.total ?? "?"} reviews`));
+  if (result.histogram) {
+    const max = Math.max(1, ...Object.values(result.histogram));
+    for (const n of [5, 4, 3, 2, 1]) {
+      const count = result.histogram[n] ?? 0;
+      console.log(`  ${yellow(stars(n))} ${"█".repeat(Math.round((count / max) * 30)).padEnd(30)} ${dim(String(count))}`);
+    }
+  }
+  console.log();
+
+  for (const r of list) {
+    const head = [r.rating != null ? yellow(stars(Math.round(r.rating))) : null, r.title ? bold(r.title) : null, r.date ? dim(String(r.date).slice(0, 10)) : null].filter(Boolean).join("  ");
+    if (head) console.log(`  ${head}`);
+    if (r.text) console.log(`    ${r.text.replace(/\s+/g, " ")}`);
+    if (r.helpful) console.log(dim(`    ${r.helpful} found this helpful`));
+    console.log();
+  }
+}
+
+/**
+ * Prints the facets of a search from {@link getFacets}: the JSON list, one
+ * facet per line (jsonl), one value per row (csv) or grouped with their
+ * counts (table).
+ *
+ * @param {object[]} facets
+ * @param {string} fmt - Output format.
+ * @param {boolean} pretty - Pretty-print JSON.
+ */
+function outputFacets(facets, fmt, pretty) {
+  if (fmt === "json") {
+    console.log(JSON.stringify(facets, null, pretty ? 2 : undefined));
+    return;
+  }
+  if (fmt === "jsonl") {
+    for (const f of facets) console.log(JSON.stringify(f));
+    return;
+  }
+  if (fmt === "csv") {
+    outputCsv(facets.flatMap((f) => f.values.map((v) => ({ facet: f.id, facetName: f.name, value: v.id, valueName: v.name, count: v.count, url: v.url }))));
+    return;
+  }
+
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  for (const f of facets) {
+    console.log(`\n${bold(f.name)} ${dim(f.id)}`);
+    for (const v of f.values) {
+      console.log(`  ${v.name.padEnd(36)} ${dim((v.count != null ? v.count.toLocaleString(siteInfo.locale) : "").padStart(10))}  ${dim(v.id)}`);
+    }
+  }
+  if (facets.length === 0) console.log(dim("No facets on this page."));
+  console.log(dim(`\n  Uso: ml-search "query" --filter "${facets[0]?.id ?? "BRAND"}=${facets[0]?.values[0]?.name ?? "Samsung"}"`));
+  console.log();
+}
+
+/**
+ * Prints a `priceStats()` summary as a block of figures followed by an ASCII
+ * histogram of the price buckets.
+ *
+ * @param {object} ps - Result of `priceStats()`.
+ * @param {(line: string) => void} write - Line writer (stdout for table output, stderr otherwise).
+ */
+function printPriceStats(ps, write) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  const cyan = (s) => `\x1b[36m${s}\x1b[0m`;
+  const money = (n) => (n == null ? "-" : n.toLocaleString(siteInfo.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+  const pct = (n) => (n == null ? "-" : `${Math.round(n * 1000) / 10}%`);
+  const row = (label, value) => write(`  ${dim(label.padEnd(16))} ${value}`);
+
+  write(bold(`Price statistics${ps.currency ? ` (${ps.currency})` : ""}`));
+  row("Items", ps.priced === ps.count ? String(ps.count) : `${ps.count} (${ps.priced} with a price)`);
+  row("Min / Max", `${money(ps.min)} / ${money(ps.max)}`);
+  row("Mean / Median", `${money(ps.mean)} / ${bold(money(ps.median))}`);
+  row("P10 / P25", `${money(ps.p10)} / ${money(ps.p25)}`);
+  row("P75 / P90", `${money(ps.p75)} / ${money(ps.p90)}`);
+  row("Std deviation", money(ps.stdDev));
+  row("Free shipping", pct(ps.freeShippingShare));
+  row("On discount", pct(ps.discountShare));
+
+  if (ps.histogram.length > 0) {
+    const peak = Math.max(...ps.histogram.map((b) => b.count));
+    const labels = ps.histogram.map((b) => `${money(b.from)} – ${money(b.to)}`);
+    const width = Math.max(...labels.map((l) => l.length));
+    write("");
+    for (const [i, b] of ps.histogram.entries()) {
+      write(`  ${dim(labels[i].padStart(width))} ${cyan("█".repeat(Math.round((b.count / peak) * 40)) || "▏")} ${b.count}`);
+    }
+  }
+  write("");
+}
+
+/**
+ * Prints product clusters from {@link groupSimilar} in the requested format.
+ * CSV rows flatten each cluster to its cheapest offer and member IDs.
+ *
+ * @param {object[]} clusters - Result of `groupSimilar()`.
+ * @param {object} result - The full search result object returned by {@link search}.
+ * @param {'json'|'jsonl'|'csv'|'table'} fmt - Output format.
+ * @param {boolean} pretty - Whether to pretty-print JSON output.
+ */
+function outputClusters(clusters, result, fmt, pretty) {
+  const { items, ...rest } = result;
+  switch (fmt) {
+    case "json":
+      console.log(JSON.stringify({ ...rest, groups: clusters }, null, pretty ? 2 : undefined));
+      break;
+
+    case "jsonl":
+      for (const cluster of clusters) console.log(JSON.stringify(cluster));
+      break;
+
+    case "csv":
+      outputCsv(
+        clusters.map((c) => ({
+          title: c.title,
+          count: c.count,
+          minPrice: c.minPrice,
+          maxPrice: c.maxPrice,
+          spread: c.spread,
+          spreadPercent: c.spreadPercent,
+          currency: c.currency,
+          cheapestId: c.cheapest.id ?? null,
+          cheapestSeller: c.cheapest.seller ?? null,
+          cheapestPermalink: c.cheapest.permalink ?? null,
+          catalogProductId: c.catalogProductId,
+          listingIds: c.listings.map((l) => l.id).join(" "),
+        })),
+      );
+      break;
+
+    case "table": {
+      const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+      const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+      const green = (s) => `\x1b[32m${s}\x1b[0m`;
+      const money = (n) => (n == null ? "-" : n.toLocaleString(siteInfo.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+      console.log(dim(`─── ${clusters.length} product${clusters.length === 1 ? "" : "s"} across ${items.length} result${items.length === 1 ? "" : "s"} ───`));
+      console.log();
+      for (const [i, c] of clusters.entries()) {
+        console.log(`${dim(`${String(i + 1).padStart(3)}.`)} ${bold(c.title)}`);
+        const range = c.count > 1 ? dim(` … ${money(c.maxPrice)} (spread ${money(c.spread)}${c.spreadPercent != null ? `, ${c.spreadPercent}%` : ""})`) : "";
+        console.log(`     ${green(`${c.currency ?? ""} ${money(c.minPrice)}`.trim())}${range}  ${dim(`${c.count} listing${c.count === 1 ? "" : "s"}`)}`);
+        console.log(dim(`     cheapest: ${c.cheapest.seller ?? c.cheapest.id ?? "?"}  ${c.cheapest.permalink ?? ""}`));
+      }
+      console.log();
+      break;
+    }
+  }
+}
+
+/**
+ * Reads the items of a saved result file: a `--save-json` file (or any JSON
+ * object with an `items` array), a JSON array of items, or jsonl output with
+ * one item per line. Exits with an error when the file cannot be read.
+ *
+ * @param {string} file - Path to the result file.
+ * @returns {object[]} The items.
+ */
+function readResultFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf-8");
+  } catch (e) {
+    error(`Could not read results file "${file}": ${e.code === "ENOENT" ? "no such file" : e.message}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {}
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.items)) return data.items;
+  // Whole-file JSON that is not a result is either a one-line jsonl file (a single item) or not a result file at all.
+  if (data === undefined || data?.id != null) {
+    try {
+      return text
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    } catch {}
+  }
+  error(`"${file}" is not a result file. Use a file saved with --save-json, or jsonl output.`);
+}
+
+/**
+ * Prints a comparison from {@link diffResults} in the requested format. JSON
+ * is the diff object merged into `meta`; jsonl and csv print one row per
+ * added, removed or changed listing.
+ *
+ * @param {object} diff - Result of `diffResults()`.
+ * @param {object} meta - Extra top-level fields for JSON output (e.g. the search `query`).
+ * @param {'json'|'jsonl'|'csv'|'table'} fmt - Output format.
+ * @param {boolean} pretty - Whether to pretty-print JSON output.
+ */
+function outputDiff(diff, meta, fmt, pretty) {
+  if (fmt === "json") {
+    console.log(JSON.stringify({ ...meta, ...diff }, null, pretty ? 2 : undefined));
+    return;
+  }
+
+  const rows = [];
+  for (const i of diff.added) rows.push({ change: "added", id: i.id, title: i.title ?? null, oldPrice: null, newPrice: i.price ?? null, priceDelta: null, pricePercent: null, oldDiscount: null, newDiscount: i.discountPercent ?? null, freeShipping: null, permalink: i.permalink ?? null });
+  for (const i of diff.removed) rows.push({ change: "removed", id: i.id, title: i.title ?? null, oldPrice: i.price ?? null, newPrice: null, priceDelta: null, pricePercent: null, oldDiscount: i.discountPercent ?? null, newDiscount: null, freeShipping: null, permalink: i.permalink ?? null });
+  for (const c of diff.changed) {
+    const { price, discountPercent, freeShipping } = c.changes;
+    rows.push({ change: "changed", id: c.id, title: c.title, oldPrice: c.oldPrice, newPrice: c.newPrice, priceDelta: price?.delta ?? null, pricePercent: price?.percent ?? null, oldDiscount: discountPercent?.from ?? null, newDiscount: discountPercent?.to ?? null, freeShipping: freeShipping ? (freeShipping.to ? "gained" : "lost") : null, permalink: c.permalink });
+  }
+
+  if (fmt === "jsonl") {
+    for (const r of rows) console.log(JSON.stringify(r));
+    return;
+  }
+  if (fmt === "csv") {
+    outputCsv(rows);
+    return;
+  }
+
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const green = (s) => `\x1b[32m${s}\x1b[0m`;
+  const red = (s) => `\x1b[31m${s}\x1b[0m`;
+  const yellow = (s) => `\x1b[33m${s}\x1b[0m`;
+  const money = (n) => (n == null ? "-" : n.toLocaleString(siteInfo.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+  const title = (t) => (t ?? "").slice(0, 60);
+
+  console.log(dim(`─── ${diff.added.length} new, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged ───`));
+  console.log();
+  for (const i of diff.added) console.log(`  ${green("+ NEW    ")} ${i.id.padEnd(15)} ${money(i.price).padStart(12)}  ${title(i.title)}`);
+  for (const i of diff.removed) console.log(`  ${red("- GONE   ")} ${i.id.padEnd(15)} ${dim(money(i.price).padStart(12))}  ${dim(title(i.title))}`);
+  for (const c of diff.changed) {
+    const { price, discountPercent, freeShipping } = c.changes;
+    const notes = [];
+    if (price) notes.push((price.delta < 0 ? green : red)(`${money(price.from)} → ${money(price.to)}${price.percent != null ? ` (${price.percent > 0 ? "+" : ""}${price.percent}%)` : ""}`));
+    if (discountPercent) notes.push(`discount ${discountPercent.from ?? 0}% → ${discountPercent.to ?? 0}%`);
+    if (freeShipping) notes.push(freeShipping.to ? green("gained free shipping") : red("lost free shipping"));
+    console.log(`  ${yellow("~ CHANGED")} ${c.id.padEnd(15)} ${notes.join(dim(" · "))}`);
+    console.log(`  ${" ".repeat(25)} ${dim(title(c.title))}`);
+  }
+  console.log();
+}
+
+/**
+ * Renders seller profiles from {@link getSeller} as a table to stdout.
+ *
+ * @param {object[]} sellers - Seller profiles (possibly field-filtered).
+ */
+function outputSellerTable(sellers) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  const green = (s) => `\x1b[32m${s}\x1b[0m`;
+  const cyan = (s) => `\x1b[36m${s}\x1b[0m`;
+
+  for (const s of sellers) {
+    let badges = "";
+    if (s.officialStore) badges += cyan(" [LOJA OFICIAL]");
+    if (s.reputation?.powerSeller) badges += green(` [MercadoLíder ${s.reputation.powerSeller}]`);
+    console.log(`${bold(s.nickname ?? "")}${s.id ? dim(` #${s.id}`) : ""}${badges}`);
+    if (s.reputation?.level) console.log(`    ${dim("Reputation:".padEnd(12))} ${s.reputation.level}`);
+    if (s.sales != null) console.log(`    ${dim("Sales:".padEnd(12))} ${s.sales.toLocaleString(siteInfo.locale)}`);
+    if (s.yearsOnPlatform != null) console.log(`    ${dim("Selling for:".padEnd(12))} ${s.yearsOnPlatform} year${s.yearsOnPlatform === 1 ? "" : "s"}${s.since ? dim(` (since ${s.since.slice(0, 10)})`) : ""}`);
+    if (s.location) console.log(`    ${dim("Location:".padEnd(12))} ${s.location}`);
+    if (s.permalink) console.log(dim(`    ${s.permalink}`));
+    console.log();
+  }
+}
+
+/**
+ * Prints per-seller summaries from {@link groupBySeller} in the requested format.
+ *
+ * @param {object[]} groups - Seller groups.
+ * @param {object} result - The search result (its `items` are replaced by `groups` in JSON output).
+ * @param {'json'|'jsonl'|'csv'|'table'} fmt - Output format.
+ * @param {boolean} pretty - Whether to pretty-print JSON.
+ */
+function outputGroups(groups, result, fmt, pretty) {
+  const { items, ...rest } = result;
+  switch (fmt) {
+    case "json":
+      console.log(JSON.stringify({ ...rest, groups }, null, pretty ? 2 : undefined));
+      break;
+
+    case "jsonl":
+      for (const group of groups) console.log(JSON.stringify(group));
+      break;
+
+    case "csv":
+      outputCsv(groups);
+      break;
+
+    case "table": {
+      const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+      const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+      const money = (n) => (n == null ? "-" : n.toLocaleString(siteInfo.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+      console.log(dim(`─── ${groups.length} seller${groups.length === 1 ? "" : "s"} across ${items.length} result${items.length === 1 ? "" : "s"} ───`));
+      console.log();
+      console.log(`  ${bold("Seller".padEnd(32))} ${bold("Items".padStart(5))} ${bold("Min".padStart(12))} ${bold("Avg".padStart(12))} ${bold("Max".padStart(12))}`);
+      for (const g of groups) {
+        const name = g.seller ?? dim("(unknown)");
+        const padded = g.seller ? (g.seller.length > 32 ? g.seller.slice(0, 31) + "…" : g.seller.padEnd(32)) : name + " ".repeat(23);
+        console.log(`  ${padded} ${String(g.count).padStart(5)} ${money(g.minPrice).padStart(12)} ${money(g.avgPrice).padStart(12)} ${money(g.maxPrice).padStart(12)}`);
+      }
+      console.log();
+      break;
+    }
+  }
+}
+
+/**
+ * Runs the `cache` subcommand: `stats` prints a summary of the cache
+ * directory, `clear` deletes every entry (or only expired ones with `--expired`).
+ *
+ * @param {string|undefined} action - `"stats"` or `"clear"`.
+ * @param {object} store - Cache created with `createCache`.
+ * @param {boolean} expiredOnly - For `clear`, only delete entries past their TTL.
+ * @returns {Promise<void>}
+ */
+async function runCacheCommand(action, store, expiredOnly) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  if (action === "stats") {
+    const st = await store.stats();
+    console.log(bold("\nCache\n"));
+    console.log(`  ${dim("Directory:".padEnd(12))} ${st.dir}`);
+    console.log(`  ${dim("Entries:".padEnd(12))} ${st.entries} (${st.listing} listing, ${st.detail} detail, ${st.expired} expired)`);
+    console.log(`  ${dim("Size:".padEnd(12))} ${(st.bytes / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`  ${dim("TTL:".padEnd(12))} listing ${store.ttl.listing / 1000}s, detail ${store.ttl.detail / 1000}s`);
+    if (st.oldest) console.log(`  ${dim("Oldest:".padEnd(12))} ${st.oldest}`);
+    if (st.newest) console.log(`  ${dim("Newest:".padEnd(12))} ${st.newest}`);
+    console.log();
+  } else if (action === "clear") {
+    const removed = await store.clear({ expiredOnly });
+    process.stderr.write(`\x1b[32mCleared:\x1b[0m ${removed} ${expiredOnly ? "expired " : ""}cache entr${removed === 1 ? "y" : "ies"} from ${store.dir}\n`);
+  } else {
+    usageError(`Unknown cache command "${action ?? ""}". Supported: stats, clear`);
+  }
+}
+
 /**
  * Prints a red-coloured error message to stderr and terminates the process.
  *
@@ -927,3 +1956,14 @@ function error(msg) {
   console.error(`\x1b[31mError:\x1b[0m ${msg}`);
   process.exit(1);
 }
+
+/**
+ * Reports a subcommand usage error, pointing to --query in case the
+ * arguments were meant as a search query that starts with a subcommand name.
+ *
+ * @param {string} msg - Human-readable error description.
+ * @returns {never}
+ */
+function usageError(msg) {
+  error(`${msg}\n  To search for "${positionals.join(" ")}" instead, use: ml-search --query "${positionals.join(" ")}"`);
+}
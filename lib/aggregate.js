@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Summaries and comparisons computed over lists of search
+ * result items. These helpers only read the items; they never fetch anything.
+ * @module aggregate
+ */
+
+import { normalize, getQueryTokens } from "./text.js";
+
+/** Minimum Jaccard similarity of two titles' tokens for them to count as the same product. */
+const TITLE_SIMILARITY = 0.6;
+
+/** Attribute names (normalised) read as a listing's brand, model and storage. */
+const KEY_ATTRIBUTES = {
+  brand: /^(marca|brand)$/,
+  model: /^(modelo|model)$/,
+  storage: /^(memoria interna|capacidade de armazenamento|capacidad de almacenamiento|armazenamento|almacenamiento|storage)$/,
+};
+
+/**
+ * Groups items by their `seller` display name and summarises each group.
+ * Items without a seller are grouped under `seller: null`. Groups are sorted
+ * by item count (descending), then by lowest price.
+ *
+ * @param {object[]} items - Search result items.
+ * @returns {{seller: string|null, count: number, minPrice: number|null, avgPrice: number|null, maxPrice: number|null, currency: string|null, itemIds: string[]}[]}
+ */
+export function groupBySeller(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = item.seller ?? null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  const summaries = [];
+  for (const [seller, list] of groups) {
+    const prices = list.map((i) => i.price).filter((p) => typeof p === "number" && Number.isFinite(p));
+    const sum = prices.reduce((a, b) => a + b, 0);
+    summaries.push({
+      seller,
+      count: list.length,
+      minPrice: prices.length > 0 ? Math.min(...prices) : null,
+      avgPrice: prices.length > 0 ? Math.round((sum / prices.length) * 100) / 100 : null,
+      maxPrice: prices.length > 0 ? Math.max(...prices) : null,
+      currency: list.find((i) => i.currency)?.currency ?? null,
+      itemIds: list.map((i) => i.id).filter(Boolean),
+    });
+  }
+  return summaries.sort((a, b) => b.count - a.count || (a.minPrice ?? Infinity) - (b.minPrice ?? Infinity));
+}
+
+/**
+ * Computes price statistics over a list of items: spread, central values,
+ * percentiles (linearly interpolated), standard deviation (population), the
+ * share of items with free shipping and on discount, and an equal-width
+ * price histogram. Items without a numeric price count towards `count` and
+ * the shares but not towards the price figures.
+ *
+ * @param {object[]} items - Search result items.
+ * @param {object} [options={}]
+ * @param {number} [options.buckets] - Histogram bucket count; defaults to √priced, at most 10.
+ * @returns {{count: number, priced: number, currency: string|null, min: number|null, max: number|null, mean: number|null, median: number|null, p10: number|null, p25: number|null, p75: number|null, p90: number|null, stdDev: number|null, freeShippingShare: number|null, discountShare: number|null, histogram: {from: number, to: number, count: number}[]}}
+ *   Shares are fractions between 0 and 1.
+ */
+export function priceStats(items, { buckets } = {}) {
+  const prices = items
+    .map((i) => i.price)
+    .filter((p) => typeof p === "number" && Number.isFinite(p))
+    .sort((a, b) => a - b);
+  const round = (n) => Math.round(n * 100) / 100;
+  const share = (predicate) => (items.length > 0 ? Math.round((items.filter(predicate).length / items.length) * 1000) / 1000 : null);
+  const quantile = (q) => {
+    if (prices.length === 0) return null;
+    const pos = (prices.length - 1) * q;
+    const lo = Math.floor(pos);
+    return round(prices[lo] + (prices[Math.min(lo + 1, prices.length - 1)] - prices[lo]) * (pos - lo));
+  };
+
+  const mean = prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : null;
+  const variance = prices.length > 0 ? prices.reduce((a, p) => a + (p - mean) ** 2, 0) / prices.length : null;
+  const min = prices[0] ?? null;
+  const max = prices.at(-1) ?? null;
+
+  const histogram = [];
+  if (prices.length > 0) {
+    const count = min === max ? 1 : (buckets ?? Math.min(10, Math.ceil(Math.sqrt(prices.length))));
+    const width = (max - min) / count;
+    for (let b = 0; b < count; b++) histogram.push({ from: round(min + width * b), to: round(b === count - 1 ? max : min + width * (b + 1)), count: 0 });
+    for (const p of prices) histogram[width > 0 ? Math.min(count - 1, Math.floor((p - min) / width)) : 0].count++;
+  }
+
+  return {
+    count: items.length,
+    priced: prices.length,
+    currency: items.find((i) => i.currency)?.currency ?? null,
+    min,
+    max,
+    mean: mean != null ? round(mean) : null,
+    median: quantile(0.5),
+    p10: quantile(0.1),
+    p25: quantile(0.25),
+    p75: quantile(0.75),
+    p90: quantile(0.9),
+    stdDev: variance != null ? round(Math.sqrt(variance)) : null,
+    freeShippingShare: share((i) => i.freeShipping === true),
+    discountShare: share((i) => i.discountPercent > 0),
+    histogram,
+  };
+}
+
+/**
+ * Clusters duplicate and near-duplicate listings of the same product.
+ * Two listings belong together when they share a catalog product ID, when
+ * their brand, model and storage attributes all match, or when their titles
+ * are similar enough and agree on every number they both mention (model
+ * numbers, capacities). Different catalog IDs or conflicting attributes keep
+ * listings apart even when their titles match. Each listing is compared with
+ * the first listing of every cluster, so clusters do not chain together.
+ *
+ * @param {object[]} items - Search result items.
+ * @returns {{key: string, title: string, count: number, cheapest: object, minPrice: number|null, maxPrice: number|null, spread: number|null, spreadPercent: number|null, currency: string|null, catalogProductId: string|null, brand: string|null, model: string|null, storage: string|null, listings: {id: string|null, title: string, price: number|null, seller: string|null, permalink: string|null}[]}[]}
+ *   Clusters sorted by listing count (descending), then by lowest price. `listings` is sorted by price.
+ */
+export function groupSimilar(items) {
+  const clusters = [];
+  for (const item of items) {
+    const profile = productProfile(item);
+    const cluster = clusters.find((c) => sameProduct(c.seed, profile));
+    if (cluster) cluster.members.push(profile);
+    else clusters.push({ seed: profile, members: [profile] });
+  }
+
+  const byPrice = (a, b) => (a.price ?? Infinity) - (b.price ?? Infinity);
+  const summaries = clusters.map(({ seed, members }) => {
+    const listings = members.map((m) => m.item).sort(byPrice);
+    const cheapest = listings[0];
+    const prices = listings.map((i) => i.price).filter((p) => typeof p === "number" && Number.isFinite(p));
+    const minPrice = prices.length > 0 ? Math.min(...prices) : null;
+    const maxPrice = prices.length > 0 ? Math.max(...prices) : null;
+    const spread = minPrice != null ? Math.round((maxPrice - minPrice) * 100) / 100 : null;
+    const find = (key) => members.find((m) => m[key])?.[key] ?? null;
+    return {
+      key: seed.catalogProductId ?? (seed.attributeKey ? seed.attributeKey : seed.tokens.join(" ")),
+      title: cheapest.title,
+      count: members.length,
+      cheapest,
+      minPrice,
+      maxPrice,
+      spread,
+      spreadPercent: minPrice > 0 ? Math.round((spread / minPrice) * 1000) / 10 : null,
+      currency: listings.find((i) => i.currency)?.currency ?? null,
+      catalogProductId: find("catalogProductId"),
+      brand: find("brand"),
+      model: find("model"),
+      storage: find("storage"),
+      listings: listings.map((i) => ({ id: i.id ?? null, title: i.title, price: i.price ?? null, seller: i.seller ?? null, permalink: i.permalink ?? null })),
+    };
+  });
+  return summaries.sort((a, b) => b.count - a.count || (a.minPrice ?? Infinity) - (b.minPrice ?? Infinity));
+}
+
+/**
+ * Extracts what {@link groupSimilar} compares: title tokens (with "128 GB"
+ * joined into "128gb"), the tokens containing digits, the key attributes and
+ * the catalog product ID.
+ *
+ * @param {object} item
+ * @returns {object}
+ */
+function productProfile(item) {
+  const tokens = getQueryTokens(normalize(item.title || "").replace(/\b(\d+) (gb|tb|mb|mah|mp|w|hz)\b/g, "$1$2"));
+  const profile = { item, tokens: [...new Set(tokens)], catalogProductId: item.catalogProductId ?? null, brand: null, model: null, storage: null };
+  profile.numbers = profile.tokens.filter((t) => /\d/.test(t));
+  for (const section of item.attributes ?? []) {
+    for (const attr of section.attributes ?? []) {
+      const name = normalize(attr.name || "");
+      for (const [key, re] of Object.entries(KEY_ATTRIBUTES)) {
+        if (!profile[key] && re.test(name) && attr.value) profile[key] = normalize(attr.value).replace(/\s+/g, "");
+      }
+    }
+  }
+  profile.attributeKey = profile.brand && profile.model && profile.storage ? `${profile.brand}|${profile.model}|${profile.storage}` : null;
+  return profile;
+}
+
+/**
+ * Decides whether two listing profiles describe the same product.
+ *
+ * @param {object} a - Profile from {@link productProfile}.
+ * @param {object} b - Profile from {@link productProfile}.
+ * @returns {boolean}
+ */
+function sameProduct(a, b) {
+  if (a.catalogProductId && b.catalogProductId) return a.catalogProductId === b.catalogProductId;
+  if (a.attributeKey && b.attributeKey) return a.attributeKey === b.attributeKey;
+  for (const key of ["brand", "model", "storage"]) {
+    if (a[key] && b[key] && a[key] !== b[key]) return false;
+  }
+
+  const [fewer, more] = a.numbers.length <= b.numbers.length ? [a.numbers, b.numbers] : [b.numbers, a.numbers];
+  if (!fewer.every((n) => more.includes(n))) return false;
+  const shared = a.tokens.filter((t) => b.tokens.includes(t)).length;
+  const union = a.tokens.length + b.tokens.length - shared;
+  return union > 0 && shared / union >= TITLE_SIMILARITY;
+}
+
+/**
+ * Compares two snapshots of search results, matching items by `id`.
+ * Items without an `id` are ignored. A listing counts as changed when its
+ * price, its discount or its free shipping differ; a `null` price or
+ * free-shipping value on either side is treated as unknown and not compared.
+ *
+ * @param {object[]} oldItems - Items of the earlier snapshot.
+ * @param {object[]} newItems - Items of the later snapshot.
+ * @returns {{added: object[], removed: object[], changed: {id: string, title: string|null, permalink: string|null, currency: string|null, oldPrice: number|null, newPrice: number|null, changes: {price?: {from: number, to: number, delta: number, percent: number|null}, discountPercent?: {from: number|null, to: number|null}, freeShipping?: {from: boolean, to: boolean}}}[], unchanged: number}}
+ *   `added` and `changed` follow the order of `newItems`, `removed` the order of `oldItems`.
+ */
+export function diffResults(oldItems, newItems) {
+  const before = new Map(oldItems.filter((i) => i.id).map((i) => [i.id, i]));
+  const after = new Map(newItems.filter((i) => i.id).map((i) => [i.id, i]));
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [id, item] of after) {
+    const prev = before.get(id);
+    if (!prev) {
+      added.push(item);
+      continue;
+    }
+    const changes = {};
+    if (typeof prev.price === "number" && typeof item.price === "number" && prev.price !== item.price) {
+      const delta = Math.round((item.price - prev.price) * 100) / 100;
+      changes.price = { from: prev.price, to: item.price, delta, percent: prev.price > 0 ? Math.round((delta / prev.price) * 1000) / 10 : null };
+    }
+    if ((prev.discountPercent ?? null) !== (item.discountPercent ?? null)) {
+      changes.discountPercent = { from: prev.discountPercent ?? null, to: item.discountPercent ?? null };
+    }
+    if (typeof prev.freeShipping === "boolean" && typeof item.freeShipping === "boolean" && prev.freeShipping !== item.freeShipping) {
+      changes.freeShipping = { from: prev.freeShipping, to: item.freeShipping };
+    }
+    if (Object.keys(changes).length === 0) {
+      unchanged++;
+      continue;
+    }
+    changed.push({ id, title: item.title ?? prev.title ?? null, permalink: item.permalink ?? prev.permalink ?? null, currency: item.currency ?? prev.currency ?? null, oldPrice: prev.price ?? null, newPrice: item.price ?? null, changes });
+  }
+
+  const removed = [...before.values()].filter((item) => !after.has(item.id));
+  return { added, removed, changed, unchanged };
+}
+
+/**
+ * Flattens items into one row per variation, for csv/jsonl output. Each row
+ * is the item without its `variations` array, plus `variationId`,
+ * `variation` (e.g. "Cor: Azul, Armazenamento: 128 GB"), `availableQuantity`
+ * and `pictureIds`; `price` is the variation's own price when the page gives
+ * one. Items without variations yield a single row with those fields `null`.
+ *
+ * @param {object[]} items - Search result items with `variations` from detail enrichment.
+ * @returns {object[]}
+ */
+export function expandVariations(items) {
+  const rows = [];
+  for (const { variations, ...item } of items) {
+    if (!Array.isArray(variations) || variations.length === 0) {
+      rows.push({ ...item, variationId: null, variation: null, availableQuantity: null, pictureIds: null });
+      continue;
+    }
+    for (const v of variations) {
+      const row = { ...item, variationId: v.id, variation: v.attributes.map((a) => `${a.name}: ${a.value}`).join(", "), availableQuantity: v.availableQuantity, pictureIds: v.pictureIds };
+      if (v.price != null && v.price !== item.price) {
+        row.price = v.price;
+        row.discountPercent = item.originalPrice > v.price ? Math.round(((item.originalPrice - v.price) / item.originalPrice) * 100) : null;
+      }
+      rows.push(row);
+    }
+  }
+  return rows;
+}
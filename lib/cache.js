@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Persistent on-disk HTTP response cache.
+ * Successful responses are stored as one JSON file per URL, tagged with the
+ * kind of page (`listing` or `detail`) so each kind can have its own TTL.
+ * @module cache
+ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { log } from "./logger.js";
+import { urlKey } from "./transport.js";
+
+/** Default time-to-live per page kind, in milliseconds. */
+export const DEFAULT_CACHE_TTL = { listing: 15 * 60 * 1000, detail: 6 * 60 * 60 * 1000 };
+
+/**
+ * Returns the default cache directory: `$XDG_CACHE_HOME/ml-search`, falling
+ * back to `~/.cache/ml-search`.
+ *
+ * @returns {string}
+ */
+export function defaultCacheDir() {
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "ml-search");
+}
+
+/**
+ * Creates a cache bound to a directory.
+ *
+ * @param {object} [options={}] - Cache options.
+ * @param {string} [options.dir] - Cache directory; defaults to {@link defaultCacheDir}.
+ * @param {{listing?: number, detail?: number}} [options.ttl] - TTL per page kind in milliseconds.
+ * @returns {{dir: string, ttl: {listing: number, detail: number}, get: Function, set: Function, stats: Function, clear: Function}}
+ */
+export function createCache({ dir = defaultCacheDir(), ttl = {} } = {}) {
+  const ttls = { ...DEFAULT_CACHE_TTL, ...ttl };
+  const fileFor = (url) => path.join(dir, `${urlKey(url)}.json`);
+
+  /**
+   * Reads a fresh entry for a URL.
+   *
+   * @param {string} url
+   * @param {'listing'|'detail'} kind
+   * @returns {Promise<import("./transport.js").FetchResponse|null>} Cached response, or `null` when missing or expired.
+   */
+  async function get(url, kind) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(fileFor(url), "utf-8"));
+    } catch {
+      return null;
+    }
+    if (entry.url !== url) return null;
+    const age = Date.now() - Date.parse(entry.storedAt);
+    if (!(age >= 0 && age < ttls[kind])) {
+      log("CACHE", `expired ${url} (age ${Math.round(age / 1000)}s, ttl ${Math.round(ttls[kind] / 1000)}s)`);
+      return null;
+    }
+    return { status: entry.status, statusText: entry.statusText, headers: entry.headers, body: entry.body };
+  }
+
+  /**
+   * Stores a response for a URL.
+   *
+   * @param {string} url
+   * @param {'listing'|'detail'} kind
+   * @param {import("./transport.js").FetchResponse} res
+   * @returns {Promise<void>}
+   */
+  async function set(url, kind, res) {
+    const entry = { url, kind, storedAt: new Date().toISOString(), status: res.status, statusText: res.statusText, headers: res.headers, body: res.body };
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(fileFor(url), JSON.stringify(entry), "utf-8");
+  }
+
+  /**
+   * Summarises the cache directory contents.
+   *
+   * @returns {Promise<{dir: string, entries: number, bytes: number, listing: number, detail: number, expired: number, oldest: string|null, newest: string|null}>}
+   */
+  async function stats() {
+    const out = { dir, entries: 0, bytes: 0, listing: 0, detail: 0, expired: 0, oldest: null, newest: null };
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+    } catch {
+      return out;
+    }
+    const now = Date.now();
+    for (const f of files) {
+      try {
+        const full = path.join(dir, f);
+        const { size } = await fs.stat(full);
+        const entry = JSON.parse(await fs.readFile(full, "utf-8"));
+        out.entries++;
+        out.bytes += size;
+        if (entry.kind === "detail") out.detail++;
+        else out.listing++;
+        if (now - Date.parse(entry.storedAt) >= (ttls[entry.kind] ?? ttls.listing)) out.expired++;
+        if (!out.oldest || entry.storedAt < out.oldest) out.oldest = entry.storedAt;
+        if (!out.newest || entry.storedAt > out.newest) out.newest = entry.storedAt;
+      } catch {}
+    }
+    return out;
+  }
+
+  /**
+   * Deletes cache entries.
+   *
+   * @param {object} [options={}]
+   * @param {boolean} [options.expiredOnly=false] - Only delete entries past their TTL.
+   * @returns {Promise<number>} Number of deleted entries.
+   */
+  async function clear({ expiredOnly = false } = {}) {
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+    } catch {
+      return 0;
+    }
+    const now = Date.now();
+    let removed = 0;
+    for (const f of files) {
+      const full = path.join(dir, f);
+      if (expiredOnly) {
+        try {
+          const entry = JSON.parse(await fs.readFile(full, "utf-8"));
+          if (now - Date.parse(entry.storedAt) < (ttls[entry.kind] ?? ttls.listing)) continue;
+        } catch {}
+      }
+      await fs.rm(full, { force: true });
+      removed++;
+    }
+    log("CACHE", `cleared ${removed} entries from ${dir}`);
+    return removed;
+  }
+
+  return { dir, ttl: ttls, get, set, stats, clear };
+}
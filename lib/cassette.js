@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Record/replay "cassettes" for HTTP responses.
+ * A cassette is a directory holding one `<key>.json` metadata file and one
+ * `<key>.html` body file per recorded URL, where `<key>` is derived from the URL.
+ * Both helpers wrap the fetcher interface from {@link module:transport}, so a
+ * replayed run goes through exactly the same parsing path as a live one.
+ * @module cassette
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { log } from "./logger.js";
+import { nlcurlFetcher, normalizeResponse, urlKey } from "./transport.js";
+
+/**
+ * Wraps a fetcher so that every response it returns is also written to the
+ * cassette directory. The directory is created when missing.
+ *
+ * @param {string} dir - Cassette directory.
+ * @param {import("./transport.js").Fetcher} [inner=nlcurlFetcher] - Fetcher performing the real requests.
+ * @returns {import("./transport.js").Fetcher}
+ */
+export function recordingFetcher(dir, inner = nlcurlFetcher) {
+  return async (url, options) => {
+    const res = normalizeResponse(await inner(url, options), url);
+    const key = urlKey(url);
+    const meta = { url, status: res.status, statusText: res.statusText, headers: res.headers, recordedAt: new Date().toISOString(), bodyLength: res.body.length };
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${key}.json`), JSON.stringify(meta, null, 2), "utf-8");
+    await fs.writeFile(path.join(dir, `${key}.html`), res.body, "utf-8");
+    log("CASSETTE", `recorded ${url} -> ${key}`);
+    return res;
+  };
+}
+
+/**
+ * Returns a fetcher that serves responses from a cassette directory without
+ * touching the network.
+ *
+ * @param {string} dir - Cassette directory written by {@link recordingFetcher}.
+ * @returns {import("./transport.js").Fetcher}
+ * @throws {Error} (from the returned fetcher) If no response was recorded for the URL.
+ */
+export function replayFetcher(dir) {
+  return async (url) => {
+    const key = urlKey(url);
+    let meta;
+    try {
+      meta = JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") throw new Error(`No recorded response for ${url} in cassette "${dir}".`);
+      throw err;
+    }
+    const body = await fs.readFile(path.join(dir, `${key}.html`), "utf-8");
+    log("CASSETTE", `replayed ${url} <- ${key} (${meta.status})`);
+    return { status: meta.status, statusText: meta.statusText, headers: meta.headers || {}, body };
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Discovered category tree.
+ * Listing pages carry a `category` filter whose values are the subcategories
+ * of the page being shown, with their URL and result count. Walking those
+ * filters from the top-level categories of a site builds a navigable tree,
+ * stored as one JSON file per site so `--category` can resolve any
+ * subcategory without fetching it again.
+ * @module categories
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { defaultCacheDir } from "./cache.js";
+import { normalize } from "./text.js";
+import { extractFacets } from "./facets.js";
+
+/** Age after which a node's children are fetched again, in milliseconds. */
+export const DEFAULT_CATEGORY_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the default tree file of a site: `<cache dir>/categories-<SITE>.json`.
+ *
+ * @param {string} siteId - Site ID (e.g. "MLB").
+ * @returns {string}
+ */
+export function defaultCategoryFile(siteId) {
+  return path.join(defaultCacheDir(), `categories-${siteId}.json`);
+}
+
+/**
+ * Reads a stored category tree.
+ *
+ * @param {string} file - Tree file.
+ * @returns {Promise<{site: string, updatedAt: string, roots: string[], nodes: Object<string, object>}|null>} `null` when missing or unreadable.
+ */
+export async function readCategoryTree(file) {
+  try {
+    const tree = JSON.parse(await fs.readFile(file, "utf-8"));
+    return tree && typeof tree.nodes === "object" && Array.isArray(tree.roots) ? tree : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes a category tree, replacing the file atomically.
+ *
+ * @param {string} file - Tree file.
+ * @param {object} tree - Tree from {@link readCategoryTree} or `discoverCategories`.
+ * @returns {Promise<void>}
+ */
+export async function writeCategoryTree(file, tree) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(tree), "utf-8");
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Finds a node by ID (`MLB1652`) or URL slug: the full path
+ * (`informatica/portateis-acessorios/notebooks`) or its last segment
+ * (`notebooks`). When several nodes share a last segment, the shallowest wins.
+ *
+ * @param {object|null} tree - Category tree.
+ * @param {string} input - Category ID or slug.
+ * @returns {{id: string, name: string, path: string, parentId: string|null, results: number|null, children: string[]|null}|null}
+ */
+export function findCategory(tree, input) {
+  if (!tree) return null;
+  const upper = String(input).toUpperCase();
+  if (tree.nodes[upper]) return tree.nodes[upper];
+  const lower = String(input)
+    .toLowerCase()
+    .replace(/^\/+|\/+$/g, "");
+  let best = null;
+  for (const node of Object.values(tree.nodes)) {
+    if (node.path === lower) return node;
+    if (node.path.endsWith("/" + lower) && (!best || node.path.length < best.path.length)) best = node;
+  }
+  return best;
+}
+
+/**
+ * Lists the tree depth-first as rows for printing. With `match`, only nodes
+ * whose name contains it (case- and accent-insensitively) are kept, together
+ * with their ancestors so every row keeps its place in the tree.
+ *
+ * @param {object} tree - Category tree.
+ * @param {object} [options={}]
+ * @param {number} [options.depth=Infinity] - Deepest level to list; top-level categories are level 1.
+ * @param {string} [options.root] - Only list this node and its descendants.
+ * @param {string} [options.match] - Name filter.
+ * @returns {{id: string, name: string, path: string, level: number, results: number|null, leaf: boolean|null, matched: boolean}[]}
+ *   `leaf` is `null` when the node's children were never fetched.
+ */
+export function categoryRows(tree, { depth = Infinity, root, match } = {}) {
+  const wanted = match ? normalize(match) : null;
+  const rows = [];
+  const visit = (id, level) => {
+    const node = tree.nodes[id];
+    if (!node || level > depth) return false;
+    const matched = !wanted || normalize(node.name).includes(wanted);
+    const row = { id: node.id, name: node.name, path: node.path, level, results: node.results ?? null, leaf: node.children ? node.children.length === 0 : null, matched };
+    const at = rows.push(row) - 1;
+    let keep = matched;
+    for (const child of node.children ?? []) keep = visit(child, level + 1) || keep;
+    if (!keep) rows.splice(at);
+    return keep;
+  };
+  for (const id of root ? [root] : tree.roots) visit(id, 1);
+  return rows;
+}
+
+/**
+ * Extracts the subcategories offered by a listing page: the values of its
+ * `category` facet (see {@link extractFacets}).
+ *
+ * @param {object} state - The `initialState` object of a listing page.
+ * @returns {{id: string, name: string, path: string, results: number|null}[]}
+ */
+export function extractCategoryFilter(state) {
+  const facet = extractFacets(state).find((f) => f.id === "category");
+  const out = [];
+  for (const value of facet?.values ?? []) {
+    const categoryPath = categoryPathFromUrl(value.url);
+    if (categoryPath) out.push({ id: value.id.toUpperCase(), name: value.name, path: categoryPath, results: value.count });
+  }
+  return out;
+}
+
+/**
+ * Turns a listing URL into a category path: its path segments, each cut at
+ * the first `_` so filter suffixes such as `_NoIndex_True` are dropped.
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+function categoryPathFromUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+  const segments = pathname
+    .split("/")
+    .map((s) => s.split("_")[0])
+    .filter(Boolean);
+  return segments.length > 0 ? segments.join("/").toLowerCase() : null;
+}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Filter facets of a listing page.
+ * The `initialState` of a listing page lists the site's own filters for the
+ * current results (brand, condition, shipping, seller type, price ranges…),
+ * each value with its result count and the URL that applies it. This module
+ * turns them into a flat `{id, name, values}` list and resolves `--filter`
+ * expressions against it.
+ * @module facets
+ */
+
+import { normalize } from "./text.js";
+
+/** Facets already covered by a dedicated option, which `--filter` points to instead. */
+const DEDICATED_FACETS = { category: "--category", price: "--min-price/--max-price", state: "--state" };
+
+/**
+ * Extracts the filter facets of a listing page, from `available_filters` and
+ * the sidebar components. Facets without values are skipped.
+ *
+ * @param {object} state - The `initialState` object of a listing page.
+ * @returns {{id: string, name: string, values: {id: string, name: string, count: number|null, url: string|null}[]}[]}
+ */
+export function extractFacets(state) {
+  const groups = [...(state?.available_filters ?? []), ...(state?.sidebar?.components ?? []).flatMap((c) => c.filters ?? c.available_filters ?? [])];
+  const facets = [];
+  const seen = new Set();
+  for (const group of groups) {
+    if (!group?.id || !Array.isArray(group.values) || seen.has(group.id)) continue;
+    const values = group.values
+      .filter((v) => v?.id != null && v.name)
+      .map((v) => {
+        const count = v.results ?? v.count;
+        return { id: String(v.id), name: v.name, count: Number.isFinite(count) ? count : null, url: v.url ?? null };
+      });
+    if (values.length === 0) continue;
+    seen.add(group.id);
+    facets.push({ id: String(group.id), name: group.name || String(group.id), values });
+  }
+  return facets;
+}
+
+/**
+ * Parses one `--filter` expression: `<facet>=<value>`, each given by ID
+ * (`BRAND=206`) or name (`Marca=Samsung`).
+ *
+ * @param {string} expr - The expression.
+ * @returns {{facet: string, value: string, expr: string}}
+ * @throws {Error} If the expression has no `=`, facet or value.
+ */
+export function parseFacetFilter(expr) {
+  const m = String(expr).match(/^\s*([^=]+?)\s*=\s*(.+?)\s*$/);
+  if (!m) throw new Error(`Invalid --filter "${expr}". Use <facet>=<value> (e.g. "BRAND=Samsung"); run with --facets to see the available ones.`);
+  return { facet: m[1], value: m[2], expr: String(expr) };
+}
+
+/**
+ * Resolves `--filter` expressions against the facets of the unfiltered page
+ * and returns the URL segment that applies them: `_<FACET>_<VALUE>` per
+ * filter, with underscores in the facet ID written as `*` like the site
+ * does (e.g. `_SHIPPING*ORIGIN_10215068`).
+ *
+ * @param {{id: string, name: string, values: object[]}[]} facets - From {@link extractFacets}.
+ * @param {string|string[]} filters - `--filter` expressions.
+ * @returns {{segment: string, applied: {facet: string, facetName: string, value: string, valueName: string}[]}}
+ * @throws {Error} If a facet or value is not offered by the page, or the facet has a dedicated option.
+ */
+export function resolveFacetFilters(facets, filters) {
+  const applied = [];
+  for (const { facet, value, expr } of (Array.isArray(filters) ? filters : [filters]).map(parseFacetFilter)) {
+    const f = findByIdOrName(facets, facet);
+    if (!f) {
+      const list = facets.map((x) => `${x.id} (${x.name})`).join(", ");
+      throw new Error(`Unknown facet "${facet}" in --filter "${expr}". This search offers: ${list || "none"}.`);
+    }
+    const dedicated = DEDICATED_FACETS[f.id.toLowerCase()];
+    if (dedicated) throw new Error(`Invalid --filter "${expr}". Use ${dedicated} for the "${f.name}" facet.`);
+    const v = findByIdOrName(f.values, value);
+    if (!v) {
+      const list = f.values.map((x) => `${x.name} (${x.id})`).join(", ");
+      throw new Error(`Unknown value "${value}" for facet ${f.id} (${f.name}) in --filter "${expr}". Available: ${list}.`);
+    }
+    applied.push({ facet: f.id, facetName: f.name, value: v.id, valueName: v.name });
+  }
+  return { segment: applied.map(facetSegment).join(""), applied };
+}
+
+/**
+ * Resolves a `--state` region against the location facet (`state`) of the
+ * unfiltered page, for sites without a known region URL segment. The region
+ * is given by value ID or name (e.g. "Córdoba"), and is applied in the same
+ * way as a `--filter` value.
+ *
+ * @param {{id: string, name: string, values: object[]}[]} facets - From {@link extractFacets}.
+ * @param {string} region - The `--state` value.
+ * @param {string} regionLabel - What the site calls its regions, for error messages.
+ * @returns {{segment: string, applied: {facet: string, facetName: string, value: string, valueName: string}}}
+ * @throws {Error} If the page has no location facet or does not offer the region.
+ */
+export function resolveRegionFilter(facets, region, regionLabel) {
+  const f = facets.find((x) => x.id.toLowerCase() === "state");
+  if (!f) throw new Error(`Cannot apply --state "${region}": this search does not offer a location filter.`);
+  const v = findByIdOrName(f.values, region);
+  if (!v) {
+    const list = f.values.map((x) => x.name).join(", ");
+    throw new Error(`Unknown state "${region}". This search offers these ${regionLabel}s: ${list}.`);
+  }
+  const applied = { facet: f.id, facetName: f.name, value: v.id, valueName: v.name };
+  return { segment: facetSegment(applied), applied };
+}
+
+/**
+ * Finds a facet or facet value by ID (case-insensitive) or, failing that, by
+ * normalised name.
+ *
+ * @param {{id: string, name: string}[]} list
+ * @param {string} key - ID or name.
+ * @returns {object|undefined}
+ */
+function findByIdOrName(list, key) {
+  return list.find((x) => x.id.toLowerCase() === key.toLowerCase()) ?? list.find((x) => normalize(x.name) === normalize(key));
+}
+
+/**
+ * Writes one applied filter as a URL segment.
+ *
+ * @param {{facet: string, value: string}} applied
+ * @returns {string}
+ */
+function facetSegment({ facet, value }) {
+  return `_${facet.replace(/_/g, "*")}_${value}`;
+}
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Local result filtering: the `--strict` query language,
+ * `--exclude` terms and `--where` expressions, compiled into a single
+ * predicate so they all run as one pass.
+ * @module filter
+ */
+
+import { normalize, getQueryTokens } from "./text.js";
+
+/** One `--strict` query term: optional `-`, optional scope, then a quoted phrase, an OR group or a word. */
+const TERM_RE = /(-?)(?:(title|attr|desc):)?(?:"([^"]*)"|\(([^)]*)\)|([^\s"()]+))/gi;
+
+/** Characters or prefixes that make a query use the `--strict` syntax rather than plain words. */
+const SYNTAX_RE = /["()|]|(^|\s)-\S|(^|\s)(title|attr|desc):/i;
+
+/** Operators of a `--where` expression, longest first so `>=` wins over `>`. */
+const WHERE_RE = /^\s*(.+?)\s*(>=|<=|!=|=|>|<|~)\s*(.*?)\s*$/;
+
+/** Item fields known from the listing card; any other field or attribute needs detail enrichment. */
+const CARD_FIELDS = new Set(["id", "title", "price", "currency", "originalprice", "discountpercent", "installments", "freeshipping", "shipping", "seller", "bestseller", "highlight", "promotions", "thumbnail", "permalink", "categoryid", "catalogproductid", "international", "isad", "rating"]);
+
+/** Paths under a listing card field that only the detail page fills in. */
+const DETAIL_PATHS = new Set(["rating.count"]);
+
+/** Fields parsed from the listing card and completed from the detail page. */
+const ENRICHED_FIELDS = new Set(["shippinginfo"]);
+
+/** Fields computed once the results are in, after detail enrichment. */
+const SCORED_FIELDS = new Set(["risk"]);
+
+/** Unit multipliers, grouped by dimension, to compare e.g. "512 GB" with "1 TB". */
+const UNITS = {
+  kb: ["bytes", 1e3],
+  mb: ["bytes", 1e6],
+  gb: ["bytes", 1e9],
+  tb: ["bytes", 1e12],
+  mm: ["length", 0.001],
+  cm: ["length", 0.01],
+  m: ["length", 1],
+  g: ["mass", 1],
+  kg: ["mass", 1000],
+  mah: ["charge", 1],
+  hz: ["frequency", 1],
+  khz: ["frequency", 1e3],
+  mhz: ["frequency", 1e6],
+  ghz: ["frequency", 1e9],
+  w: ["power", 1],
+  kw: ["power", 1000],
+  mp: ["megapixels", 1],
+  pol: ["inches", 1],
+  '"': ["inches", 1],
+};
+
+/**
+ * Parses one `--where` expression such as `Marca=Samsung`,
+ * `Memória RAM>=8 GB` or `title~^Kit`.
+ *
+ * @param {string} expr - The expression.
+ * @returns {{field: string, op: string, value: string, expr: string, regex?: RegExp}}
+ * @throws {Error} If the expression has no operator, field or value, or an invalid regex.
+ */
+export function parseWhere(expr) {
+  const m = String(expr).match(WHERE_RE);
+  if (!m || !m[1] || m[3] === "") {
+    throw new Error(`Invalid --where "${expr}". Use <field><op><value> with one of =, !=, >, >=, <, <=, ~ (e.g. "Marca=Samsung", "Memória RAM>=8 GB").`);
+  }
+  const condition = { field: m[1], op: m[2], value: m[3], expr: String(expr) };
+  if (condition.op === "~") {
+    try {
+      condition.regex = new RegExp(condition.value, "i");
+    } catch (err) {
+      throw new Error(`Invalid --where "${expr}": ${err.message}`);
+    }
+  }
+  return condition;
+}
+
+/**
+ * Parses a `--strict` query into clauses. Every clause must hold:
+ *
+ * - `word` — the word appears (stop-words and single letters are ignored)
+ * - `"two words"` — the phrase appears
+ * - `(25w|45w)` — at least one alternative appears; alternatives may be quoted
+ * - `-word`, `-"phrase"`, `-(a|b)` — none of them appears
+ * - `title:`, `desc:`, `attr:` before any of the above — only look in the
+ *   title, the description or the attribute values
+ *
+ * @param {string} query - Raw query string.
+ * @returns {{negate: boolean, scope: string|null, alternatives: string[]}[]} Clauses with normalised alternatives.
+ * @throws {Error} On an unbalanced quote or parenthesis.
+ */
+export function parseQuery(query) {
+  const text = String(query ?? "");
+  if ((text.match(/"/g) || []).length % 2 !== 0) throw new Error(`Invalid --strict query "${text}": unbalanced quote.`);
+  if ((text.match(/\(/g) || []).length !== (text.match(/\)/g) || []).length) throw new Error(`Invalid --strict query "${text}": unbalanced parenthesis.`);
+
+  const clauses = [];
+  for (const [, minus, scope, phrase, group, word] of text.matchAll(TERM_RE)) {
+    const negate = minus === "-";
+    const clause = { negate, scope: scope ? scope.toLowerCase() : null };
+    if (phrase !== undefined) {
+      clause.alternatives = [normalize(phrase)];
+    } else if (group !== undefined || word.includes("|")) {
+      clause.alternatives = (group ?? word).split(/\||\s+OR\s+/).map((alt) => normalize(alt.replace(/"/g, "")));
+    } else if (!negate) {
+      for (const token of getQueryTokens(word)) clauses.push({ ...clause, alternatives: [token] });
+      continue;
+    } else {
+      clause.alternatives = [normalize(word)];
+    }
+    clause.alternatives = clause.alternatives.filter(Boolean);
+    if (clause.alternatives.length > 0) clauses.push(clause);
+  }
+  return clauses;
+}
+
+/**
+ * Returns the text to send to the site for a `--strict` query: its required
+ * words and phrases without quotes and scopes. Exclusions and OR groups are
+ * left out because the site cannot express them; they are applied locally.
+ * A query without any syntax is returned unchanged.
+ *
+ * @param {string} query - Raw query string.
+ * @returns {string}
+ * @throws {Error} If the query is invalid or has nothing left to search for.
+ */
+export function searchTerms(query) {
+  if (!SYNTAX_RE.test(query)) return query;
+  parseQuery(query);
+  const words = [];
+  for (const [, minus, , phrase, group, word] of query.matchAll(TERM_RE)) {
+    if (minus === "-" || group !== undefined || word?.includes("|")) continue;
+    words.push(phrase ?? word);
+  }
+  const text = words.join(" ").trim();
+  if (!text) throw new Error(`Invalid --strict query "${query}": it needs at least one required word or phrase to search for.`);
+  return text;
+}
+
+/**
+ * Compiles the strict query, `--exclude` terms and `--where` expressions
+ * into one predicate. Conditions are ANDed. A condition on a field or
+ * attribute the item does not have never matches.
+ *
+ * Field names are matched, case- and accent-insensitively, first against
+ * item fields (`price`, `freeShipping`, `seller`, dotted paths such as
+ * `rating.average`), then against attribute names of the detail spec tables.
+ *
+ * @param {object} options
+ * @param {string} [options.query=""] - The search query, for `strict`.
+ * @param {boolean} [options.strict=false] - Apply the query as a {@link parseQuery} expression.
+ * @param {string|string[]} [options.exclude] - Terms or phrases that must not appear in the title, description or attributes; comma-separated or repeated.
+ * @param {string|string[]} [options.where] - `--where` expressions.
+ * @param {boolean} [options.noDetails=false] - Whether detail pages will be skipped; conditions that need them are then rejected.
+ * @returns {{test: (item: object) => boolean, active: boolean, needsDetails: boolean}}
+ *   `needsDetails` is `true` when a condition reads anything but listing card fields (attributes, `description`, `rating.count`, `risk`, …),
+ *   including `shippingInfo`, which the detail page completes, unless `noDetails` is set.
+ * @throws {Error} If the query or an expression is invalid, or a condition needs detail pages with `noDetails`.
+ */
+export function compileFilter({ query = "", strict = false, exclude, where, noDetails = false } = {}) {
+  const clauses = strict ? parseQuery(query) : [];
+  for (const term of toList(exclude).flatMap((t) => String(t).split(","))) {
+    const text = normalize(term);
+    if (text) clauses.push({ negate: true, scope: null, alternatives: [text] });
+  }
+  const conditions = toList(where).map((expr) => {
+    const condition = parseWhere(expr);
+    return { ...condition, source: fieldSource(condition.field) };
+  });
+  const detailOnly = noDetails && conditions.find((c) => c.source === "detail");
+  if (detailOnly) throw new Error(`The --where "${detailOnly.expr}" condition reads detail pages, so it cannot be used with --no-details. Remove one of them.`);
+  const needsDetails = clauses.some((c) => c.scope === "desc" || c.scope === "attr") || conditions.some((c) => c.source === "detail" || c.source === "scored" || (c.source === "enriched" && !noDetails));
+  return {
+    active: clauses.length > 0 || conditions.length > 0,
+    needsDetails,
+    test: (item) => matchesClauses(item, clauses) && conditions.every((c) => matchesCondition(item, c)),
+  };
+}
+
+/**
+ * Tells where a `--where` field is read from: `card` for listing card fields
+ * and their subpaths, `enriched` for card fields the detail page completes
+ * (`shippingInfo`), `scored` for `risk`, and `detail` for everything else
+ * (attributes, `description`, `rating.count`, …). The whole dotted path
+ * counts, so `rating.average` is on the card but `rating.count` is not.
+ *
+ * @param {string} field
+ * @returns {'card'|'enriched'|'detail'|'scored'}
+ */
+function fieldSource(field) {
+  const path = field.trim().toLowerCase();
+  const root = path.split(".")[0];
+  if (SCORED_FIELDS.has(root)) return "scored";
+  if (ENRICHED_FIELDS.has(root)) return "enriched";
+  if (!CARD_FIELDS.has(root) || DETAIL_PATHS.has(path)) return "detail";
+  return "card";
+}
+
+/**
+ * Wraps a single value in an array; `undefined`, `null` and `""` become an empty array.
+ *
+ * @param {*} value
+ * @returns {Array}
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : value != null && value !== "" ? [value] : [];
+}
+
+/**
+ * Tests an item against parsed query clauses. Unscoped clauses look at the
+ * whole text corpus (title, description, attribute values).
+ *
+ * @param {object} item - Normalised item object.
+ * @param {{negate: boolean, scope: string|null, alternatives: string[]}[]} clauses
+ * @returns {boolean} `true` if every clause holds.
+ */
+function matchesClauses(item, clauses) {
+  if (clauses.length === 0) return true;
+
+  const corpus = {
+    title: normalize(item.title || ""),
+    desc: normalize(item.description || ""),
+    attr: (item.attributes || [])
+      .flatMap((section) => section.attributes || [])
+      .map((attr) => normalize(attr.value || ""))
+      .join(" "),
+  };
+  const all = [corpus.title, corpus.desc, corpus.attr].join(" ");
+
+  return clauses.every(({ negate, scope, alternatives }) => {
+    const text = scope ? corpus[scope] : all;
+    return alternatives.some((alt) => text.includes(alt)) !== negate;
+  });
+}
+
+/**
+ * Evaluates one parsed `--where` condition against an item.
+ *
+ * @param {object} item
+ * @param {{field: string, op: string, value: string, regex?: RegExp}} condition
+ * @returns {boolean}
+ */
+function matchesCondition(item, { field, op, value, regex }) {
+  const actual = resolveField(item, field);
+  if (actual === undefined || actual === null) return false;
+  if (op === "~") return regex.test(typeof actual === "object" ? JSON.stringify(actual) : String(actual));
+
+  if (typeof actual === "boolean") {
+    const wanted = /^(true|yes|sim|si|1)$/i.test(value) ? true : /^(false|no|nao|não|0)$/i.test(value) ? false : null;
+    if (wanted === null || (op !== "=" && op !== "!=")) return false;
+    return op === "=" ? actual === wanted : actual !== wanted;
+  }
+
+  const a = parseQuantity(actual);
+  const b = parseQuantity(value);
+  if (a && b && (a.dimension === b.dimension || !a.dimension || !b.dimension)) {
+    const x = a.dimension && b.dimension ? a.base : a.value;
+    const y = a.dimension && b.dimension ? b.base : b.value;
+    switch (op) {
+      case "=":
+        return x === y;
+      case "!=":
+        return x !== y;
+      case ">":
+        return x > y;
+      case ">=":
+        return x >= y;
+      case "<":
+        return x < y;
+      case "<=":
+        return x <= y;
+    }
+  }
+  if (op === "=") return normalize(String(actual)) === normalize(value);
+  if (op === "!=") return normalize(String(actual)) !== normalize(value);
+  return false;
+}
+
+/**
+ * Looks up a `--where` field: an item field or dotted path first, then an
+ * attribute of the detail spec tables with the same normalised name.
+ *
+ * @param {object} item
+ * @param {string} field
+ * @returns {*} The value, or `undefined` when the item has no such field.
+ */
+function resolveField(item, field) {
+  const path = field.trim();
+  if (/^[A-Za-z_]\w*(\.\w+)*$/.test(path)) {
+    let value = item;
+    for (const part of path.split(".")) {
+      const key = Object.keys(value ?? {}).find((k) => k.toLowerCase() === part.toLowerCase());
+      value = key === undefined ? undefined : value[key];
+      if (value === undefined) break;
+    }
+    if (value !== undefined) return value;
+  }
+  const name = normalize(path);
+  for (const section of item.attributes ?? []) {
+    for (const attr of section.attributes ?? []) {
+      if (normalize(attr.name || "") === name) return attr.value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parses a number with an optional unit, e.g. `8 GB`, `1,5 kg`, `6.1"` or `1.299,90`.
+ *
+ * @param {*} input
+ * @returns {{value: number, dimension: string|null, base: number}|null} `null` unless the input is a number with an optional known unit.
+ */
+function parseQuantity(input) {
+  if (typeof input === "number") return Number.isFinite(input) ? { value: input, dimension: null, base: input } : null;
+  const m = String(input)
+    .trim()
+    .match(/^(-?\d+(?:[.,]\d+)*)\s*("|[a-zA-Z]+)?\.?$/);
+  if (!m) return null;
+  let digits = m[1];
+  if (digits.includes(",") && digits.includes(".")) digits = digits.replace(/\./g, "").replace(",", ".");
+  else if (digits.includes(",")) digits = digits.replace(",", ".");
+  else if (/^\d{1,3}(\.\d{3})+$/.test(digits)) digits = digits.replace(/\./g, "");
+  const value = Number(digits);
+  if (!Number.isFinite(value)) return null;
+  const unit = m[2] ? UNITS[m[2].toLowerCase()] : null;
+  if (m[2] && !unit) return null;
+  return { value, dimension: unit?.[0] ?? null, base: unit ? value * unit[1] : value };
+}
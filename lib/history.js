@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Local price history store.
+ * Observations are appended to a JSON Lines file, one line per item per
+ * tracked search, so repeated runs of the same query build a price timeline
+ * for every listing they return. The file is never rewritten.
+ * @module history
+ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { log } from "./logger.js";
+
+/**
+ * Returns the default history file: `$XDG_DATA_HOME/ml-search/history.jsonl`,
+ * falling back to `~/.local/share/ml-search/history.jsonl`.
+ *
+ * @returns {string}
+ */
+export function defaultHistoryFile() {
+  return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share"), "ml-search", "history.jsonl");
+}
+
+/**
+ * Creates a price history store bound to a file.
+ *
+ * @param {object} [options={}] - Store options.
+ * @param {string} [options.file] - JSON Lines file; defaults to {@link defaultHistoryFile}.
+ * @returns {{file: string, record: Function, entries: Function, timeline: Function}}
+ */
+export function createHistory({ file = defaultHistoryFile() } = {}) {
+  /**
+   * Appends one observation per item that has an `id`.
+   *
+   * @param {object[]} items - Search result items.
+   * @param {object} [options={}]
+   * @param {string|null} [options.query=null] - Query text the items came from.
+   * @param {Date} [options.at=new Date()] - Observation time.
+   * @returns {Promise<number>} Number of recorded observations.
+   */
+  async function record(items, { query = null, at = new Date() } = {}) {
+    const timestamp = at.toISOString();
+    const lines = items
+      .filter((item) => item.id)
+      .map((item) =>
+        JSON.stringify({
+          at: timestamp,
+          id: item.id,
+          title: item.title ?? null,
+          price: item.price ?? null,
+          originalPrice: item.originalPrice ?? null,
+          discountPercent: item.discountPercent ?? null,
+          currency: item.currency ?? null,
+          seller: item.seller ?? null,
+          query,
+        }),
+      );
+    if (lines.length === 0) return 0;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, lines.join("\n") + "\n", "utf-8");
+    log("HISTORY", `recorded ${lines.length} observations to ${file}`);
+    return lines.length;
+  }
+
+  /**
+   * Reads stored observations, oldest first. Unreadable lines are skipped.
+   *
+   * @param {string} [id] - Only return observations of this item ID.
+   * @returns {Promise<object[]>}
+   */
+  async function entries(id) {
+    let text;
+    try {
+      text = await fs.readFile(file, "utf-8");
+    } catch {
+      return [];
+    }
+    const out = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (!id || entry.id === id) out.push(entry);
+      } catch {}
+    }
+    return out.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+  }
+
+  /**
+   * Builds the price timeline of one item: every observation plus its
+   * all-time lowest and highest price, and where the latest price sits
+   * relative to them.
+   *
+   * @param {string} idOrUrl - Item ID (`MLB1234567890`, `MLB-1234567890`) or listing URL.
+   * @returns {Promise<{id: string, title: string|null, currency: string|null, points: object[], lowest: {price: number, at: string}|null, highest: {price: number, at: string}|null, current: {price: number, at: string, aboveLowestPercent: number, belowHighestPercent: number}|null}|null>}
+   *   `null` when the item has no recorded observations.
+   */
+  async function timeline(idOrUrl) {
+    const id = normalizeItemId(idOrUrl);
+    const points = await entries(id);
+    if (points.length === 0) return null;
+
+    const priced = points.filter((p) => typeof p.price === "number" && Number.isFinite(p.price));
+    let lowest = null;
+    let highest = null;
+    for (const p of priced) {
+      if (!lowest || p.price < lowest.price) lowest = { price: p.price, at: p.at };
+      if (!highest || p.price > highest.price) highest = { price: p.price, at: p.at };
+    }
+    const last = priced.at(-1);
+    const current = last
+      ? {
+          price: last.price,
+          at: last.at,
+          aboveLowestPercent: lowest.price > 0 ? Math.round(((last.price - lowest.price) / lowest.price) * 1000) / 10 : 0,
+          belowHighestPercent: highest.price > 0 ? Math.round(((highest.price - last.price) / highest.price) * 1000) / 10 : 0,
+        }
+      : null;
+
+    const latest = points.at(-1);
+    return { id, title: latest.title, currency: latest.currency, points, lowest, highest, current };
+  }
+
+  return { file, record, entries, timeline };
+}
+
+/**
+ * Extracts the stored form of an item ID (`MLB1234567890`) from an ID,
+ * a dashed ID or a listing URL. Other input is returned trimmed.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+function normalizeItemId(input) {
+  const text = String(input ?? "").trim();
+  const match = text.match(/\b(M[A-Z]{2})-?(\d{6,})/i);
+  return match ? `${match[1].toUpperCase()}${match[2]}` : text;
+}
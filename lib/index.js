@@ -5,72 +5,47 @@
  * @module index
  */
 
-import { get } from "nlcurl";
+import { setTimeout as delay } from "node:timers/promises";
 import { log } from "./logger.js";
+import { resolveSite, getSites } from "./sites.js";
+import { nlcurlFetcher, normalizeResponse, isRetryableStatus, isRetryableError, parseRetryAfter, backoffDelay } from "./transport.js";
+import { createRateLimiter } from "./ratelimit.js";
+import { compileFilter, searchTerms } from "./filter.js";
+import { extractFacets, parseFacetFilter, resolveFacetFilters, resolveRegionFilter } from "./facets.js";
+import { assessRisk } from "./risk.js";
+import { parseShippingComponents, extractShippingFromHtml, mergeShippingInfo, shippingConditions } from "./shipping.js";
+import { DEFAULT_CATEGORY_MAX_AGE, defaultCategoryFile, readCategoryTree, writeCategoryTree, findCategory, extractCategoryFilter } from "./categories.js";
+
+export { getSites } from "./sites.js";
+export { nlcurlFetcher } from "./transport.js";
+export { recordingFetcher, replayFetcher } from "./cassette.js";
+export { createCache, defaultCacheDir, DEFAULT_CACHE_TTL } from "./cache.js";
+export { createRateLimiter, DEFAULT_RATE } from "./ratelimit.js";
+export { groupBySeller, groupSimilar, diffResults, priceStats, expandVariations } from "./aggregate.js";
+export { assessRisk, RISK_LEVELS } from "./risk.js";
+export { parseDeliveryDays } from "./shipping.js";
+export { compileFilter, parseQuery } from "./filter.js";
+export { extractFacets } from "./facets.js";
+export { createHistory, defaultHistoryFile } from "./history.js";
+export { createWatchlist, defaultWatchFile, describeWatch } from "./watch.js";
+export { categoryRows, defaultCategoryFile, findCategory, readCategoryTree, DEFAULT_CATEGORY_MAX_AGE } from "./categories.js";
 
-const MARKETPLACE_DOMAIN = "lista.mercadolivre.com.br";
 const DEFAULT_LIMIT = 20;
 const DEFAULT_TIMEOUT = 15000;
 const DEFAULT_CONCURRENCY = 5;
-const VALID_STATES = new Set(["ac", "al", "ap", "am", "ba", "ce", "df", "es", "go", "ma", "mt", "ms", "mg", "pa", "pb", "pr", "pe", "pi", "rj", "rn", "rs", "ro", "rr", "sc", "sp", "se", "to"]);
-
-const RATE_LIMIT_PAGE_DELAY = 200;
-const RATE_LIMIT_DETAIL_DELAY = 100;
-const RATE_LIMIT_CONCURRENCY = 3;
-
-/** @param {number} ms @returns {Promise<void>} */
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-/**
- * Known MLB categories with their URL path segments and display names.
- * Used for validation and URL construction when filtering by category.
- *
- * @type {Map<string, {path: string, name: string}>}
- */
-const CATEGORIES = new Map([
-  ["MLB3813", { path: "celulares-telefones/acessorios-celulares", name: "Acessórios para Celulares" }],
-  ["MLB5672", { path: "acessorios-veiculos", name: "Acessórios para Veículos" }],
-  ["MLB2818", { path: "mais-categorias/adultos", name: "Adultos" }],
-  ["MLB271599", { path: "agro", name: "Agro" }],
-  ["MLB1403", { path: "alimentos-bebidas", name: "Alimentos e Bebidas" }],
-  ["MLB1368", { path: "arte-papelaria-armarinho", name: "Arte, Papelaria e Armarinho" }],
-  ["MLB1613", { path: "casa-moveis-decoracao/banheiros", name: "Banheiros" }],
-  ["MLB1384", { path: "bebes", name: "Bebês" }],
-  ["MLB1246", { path: "beleza-cuidado-pessoal", name: "Beleza e Cuidado Pessoal" }],
-  ["MLB1132", { path: "brinquedos-hobbies", name: "Brinquedos e Hobbies" }],
-  ["MLB1430", { path: "calcados-roupas-bolsas", name: "Calçados, Roupas e Bolsas" }],
-  ["MLB438928", { path: "casa-moveis-decoracao/camas-colchoes-acessorios", name: "Camas, Colchões e Acessórios" }],
-  ["MLB1574", { path: "casa-moveis-decoracao", name: "Casa, Móveis e Decoração" }],
-  ["MLB11466", { path: "livros-revistas-comics/catalogos", name: "Catálogos" }],
-  ["MLB1055", { path: "celulares-telefones/celulares-smartphones", name: "Celulares e Smartphones" }],
-  ["MLB1500", { path: "construcao", name: "Construção" }],
-  ["MLB1618", { path: "casa-moveis-decoracao/cozinha", name: "Cozinha" }],
-  ["MLB264051", { path: "casa-moveis-decoracao/cuidado-casa-lavanderia", name: "Cuidado da Casa e Lavanderia" }],
-  ["MLB1039", { path: "cameras-acessorios", name: "Câmeras e Acessórios" }],
-  ["MLB5726", { path: "eletrodomesticos", name: "Eletrodomésticos" }],
-  ["MLB1000", { path: "eletronicos-audio-video", name: "Eletrônicos, Áudio e Vídeo" }],
-  ["MLB1631", { path: "casa-moveis-decoracao/enfeites-decoracao-casa", name: "Enfeites e Decoração da Casa" }],
-  ["MLB1276", { path: "esportes-fitness", name: "Esportes e Fitness" }],
-  ["MLB263532", { path: "ferramentas", name: "Ferramentas" }],
-  ["MLB12404", { path: "festas-lembrancinhas", name: "Festas e Lembrancinhas" }],
-  ["MLB1144", { path: "games", name: "Games" }],
-  ["MLB1582", { path: "casa-moveis-decoracao/iluminacao-residencial", name: "Iluminação Residencial" }],
-  ["MLB1499", { path: "industria-comercio", name: "Indústria e Comércio" }],
-  ["MLB1648", { path: "informatica", name: "Informática" }],
-  ["MLB1182", { path: "instrumentos-musicais", name: "Instrumentos Musicais" }],
-  ["MLB1621", { path: "casa-moveis-decoracao/jardim-ar-livre", name: "Jardim e Ar Livre" }],
-  ["MLB3937", { path: "joias-relogios", name: "Joias e Relógios" }],
-  ["MLB437616", { path: "livros-revistas-comics/livros-fisicos", name: "Livros Físicos" }],
-  ["MLB436380", { path: "casa-moveis-decoracao/moveis-casa", name: "Móveis para Casa" }],
-  ["MLB1168", { path: "musica-filmes-seriados", name: "Música, Filmes e Seriados" }],
-  ["MLB7462", { path: "celulares-telefones/pecas-celular", name: "Peças para Celular" }],
-  ["MLB1071", { path: "pet-shop", name: "Pet Shop" }],
-  ["MLB2908", { path: "celulares-telefones/radio-comunicadores", name: "Rádio Comunicadores" }],
-  ["MLB264586", { path: "saude", name: "Saúde" }],
-  ["MLB7069", { path: "casa-moveis-decoracao/seguranca-casa", name: "Segurança para Casa" }],
-  ["MLB417704", { path: "celulares-telefones/smartwatches-acessorios", name: "Smartwatches e Acessórios" }],
-  ["MLB436246", { path: "casa-moveis-decoracao/texteis-casa-decoracao", name: "Têxteis de Casa e Decoração" }],
-]);
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_MAX_DELAY = 30000;
+const MAX_PAGES = 20;
+const REVIEWS_PAGE_SIZE = 15;
+
+/** Matches a listing ID inside a URL, e.g. "MLB-1234567890" or "MLA123456789". */
+const ITEM_ID_RE = /\b(M[A-Z]{2})-?(\d{6,})/i;
+
+/** @param {number} ms @param {AbortSignal} [signal] - Rejects with the signal's reason when aborted. @returns {Promise<void>} */
+const sleep = (ms, signal) =>
+  delay(ms, undefined, signal ? { signal } : undefined).catch((err) => {
+    throw signal?.aborted ? signal.reason : err;
+  });
 
 /**
  * Searches Mercado Livre and returns a structured result set.
@@ -78,50 +53,64 @@ const CATEGORIES = new Map([
  * @param {string} query - The search query string.
  * @param {object} [options={}] - Search options.
  * @param {number} [options.limit=20] - Maximum number of items to return.
+ * @param {number} [options.offset=0] - Result position to start from; pass a previous `pagination.nextOffset` to resume a crawl.
  * @param {'new'|'used'} [options.condition] - Filter items by condition.
  * @param {number} [options.timeout=15000] - HTTP request timeout in milliseconds.
  * @param {'price_asc'|'price_desc'|'relevance'} [options.sort] - Sort order.
- * @param {number} [options.concurrency=5] - Max parallel detail requests per batch.
- * @param {string} [options.state] - Filter by Brazilian state(s) — MLB only. Single UF or comma-separated list (e.g. "sp", "sp,rj,mg").
- * @param {boolean} [options.strict=false] - Whether to filter results that don't match all query terms in title, description, or attributes.
- * @returns {Promise<{items: object[], query: object, pagination: object}>} Search result.
+ * @param {number} [options.concurrency=5] - Max parallel detail requests.
+ * @param {string} [options.site="MLB"] - Mercado Libre site ID (e.g. "MLB", "MLA", "MLM", "MLC", "MCO").
+ * @param {string} [options.state] - Filter by region(s) of the selected site. Single code or comma-separated list (e.g. "sp", "sp,rj,mg").
+ * @param {string} [options.category] - Category ID or path (e.g. "MLB1648", "informatica"), or a subcategory found by {@link discoverCategories}.
+ * @param {object} [options.categoryTree] - Tree from {@link discoverCategories}; read from its default file when omitted.
+ * @param {string|string[]} [options.filter] - Site facet filters, `<facet>=<value>` by ID or name (e.g. `"BRAND=Samsung"`); see {@link getFacets}.
+ * @param {boolean} [options.strict=false] - Whether to filter results that don't match the query in title, description, or attributes. The query may then use exclusions, phrases, OR groups and field scopes (see {@link parseQuery}).
+ * @param {string|string[]} [options.exclude] - Terms or phrases that must not appear in the title, description or attributes; works without `strict`.
+ * @param {string|string[]} [options.where] - Conditions on item fields and detail attributes, e.g. `"Marca=Samsung"`, `"Memória RAM>=8 GB"`; applied in the same pass as `strict`.
+ * @param {number} [options.minPrice] - Lowest item price, inclusive. Sent in the URL and re-checked locally.
+ * @param {number} [options.maxPrice] - Highest item price, inclusive. Sent in the URL and re-checked locally.
+ * @param {boolean} [options.fullOnly=false] - Keep only items shipped by Mercado Envios Full (`shippingInfo.full`).
+ * @param {number} [options.maxDeliveryDays] - Keep only items whose delivery estimate is at most this many days away; items without an estimate are dropped.
+ * @param {import("./transport.js").Fetcher} [options.fetcher] - HTTP transport; defaults to NLcURL.
+ * @param {object} [options.cache] - Response cache from {@link createCache}; no caching when omitted.
+ * @param {number} [options.retries=2] - Retries per request on timeouts, 429 and transient 5xx responses.
+ * @param {number} [options.retryMaxDelay=30000] - Upper bound for a single backoff wait in milliseconds.
+ * @param {number} [options.rate=3] - Requests per second allowed by the shared rate limiter.
+ * @param {object} [options.rateLimiter] - Limiter from {@link createRateLimiter}, to share a budget across calls.
+ * @param {boolean} [options.noRateLimit=false] - Disable rate limiting entirely.
+ * @param {number} [options.reviews=0] - Attach the first N customer reviews to each item as `item.reviews` during detail enrichment.
+ * @param {AbortSignal} [options.signal] - Cancels pending page and detail requests when aborted.
+ * @param {number} [options.maxTime] - Overall time budget in milliseconds.
+ * @param {object} [options.history] - Store from {@link createHistory}; every returned item's price is recorded in it.
+ * @param {number} [options.maxRisk] - Drop items whose `risk.score` (0–100, see {@link assessRisk}) is above this value.
+ * @returns {Promise<{items: object[], query: object, pagination: object, stats: object, partial: boolean}>} Search result.
+ *   When `signal` aborts or `maxTime` runs out, resolves with the items collected so far and `partial: true`.
  * @throws {Error} If the page structure cannot be parsed.
  */
 export async function search(query, options = {}) {
-  const { limit = DEFAULT_LIMIT, condition, timeout = DEFAULT_TIMEOUT, sort, concurrency: rawConcurrency = DEFAULT_CONCURRENCY, state, category, strict = false, noRateLimit = false, noDetails = false, noInternational = false, onFirstResponse = null, onErrorResponse = null } = options;
-  const concurrency = noRateLimit ? rawConcurrency : Math.min(rawConcurrency, RATE_LIMIT_CONCURRENCY);
-  let _requestCount = 0;
-  log("SEARCH", `search("${query}") called`, { limit, condition, sort, state, category, strict, noRateLimit, noDetails, noInternational, concurrency });
-
-  const categoryEntry = category ? resolveCategory(category) : null;
-
-  if (condition && categoryEntry) {
-    throw new Error("The --condition and --category flags cannot be used together. Remove one of them.");
-  }
-
-  const stateList = state
-    ? state
-        .split(",")
-        .map((s) => s.trim().toLowerCase())
-        .filter(Boolean)
-    : [];
-  for (const s of stateList) {
-    if (!VALID_STATES.has(s)) throw new Error(`Unknown state "${s}". Use a valid Brazilian UF (e.g. sp, rj, mg).`);
-  }
+  const { limit = DEFAULT_LIMIT, offset = 0, condition, sort, concurrency = DEFAULT_CONCURRENCY, state, category, strict = false, noRateLimit = false, noDetails = false, noInternational = false } = options;
+  const categoryTree = await loadCategoryTree(options);
+  const { site, categoryEntry, stateList, priceRange, filter, siteQuery } = prepareSearch(query, options, categoryTree);
+  const rateLimiter = options.rateLimiter ?? (noRateLimit ? null : createRateLimiter({ rate: options.rate }));
+  const signal = runSignal(options);
+  log("SEARCH", `search("${query}") called`, { site: site.id, limit, condition, sort, state, category, strict, exclude: options.exclude, where: options.where, priceRange, noRateLimit, noDetails, noInternational, concurrency, maxTime: options.maxTime });
 
   if (stateList.length > 1) {
-    const settled = await Promise.allSettled(stateList.map((s) => search(query, { ...options, state: s, limit: strict ? limit * 3 : limit, category })));
+    const settled = await Promise.allSettled(stateList.map((s) => search(query, { ...options, state: s, limit: filter.active ? limit * 3 : limit, category, categoryTree, rateLimiter, signal, maxTime: undefined, history: undefined, maxRisk: undefined })));
     const seenIds = new Set();
     let merged = [];
     let totalSum = 0;
     let firstResultUrl = null;
     const stateResults = [];
+    const stats = {};
+    let partial = false;
     for (const outcome of settled) {
       if (outcome.status !== "fulfilled") continue;
       const r = outcome.value;
       if (!firstResultUrl) firstResultUrl = r.query.url;
+      partial ||= r.partial;
       totalSum += r.pagination.total || 0;
       stateResults.push(r.items);
+      for (const [k, v] of Object.entries(r.stats || {})) stats[k] = (stats[k] || 0) + v;
     }
     const maxLen = Math.max(0, ...stateResults.map((arr) => arr.length));
     for (let i = 0; i < maxLen; i++) {
@@ -133,84 +122,46 @@ export async function search(query, options = {}) {
         merged.push(item);
       }
     }
-    if (strict) merged = merged.filter((item) => matchesQuery(item, query));
+    if (filter.active) merged = merged.filter(filter.test);
     if (sort === "price_asc") merged.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
     else if (sort === "price_desc") merged.sort((a, b) => (b.price ?? 0) - (a.price ?? 0));
     merged = merged.slice(0, limit);
+    assessRisk(merged);
+    if (options.maxRisk != null) merged = merged.filter((item) => item.risk.score <= options.maxRisk);
+    if (options.history) await options.history.record(merged, { query });
     return {
       items: merged,
-      query: { text: query, condition: condition || null, sort: sort || null, state: stateList.join(","), states: stateList, category: categoryEntry?.id || null, strict, url: firstResultUrl },
-      pagination: { total: totalSum, offset: 0, limit, resultsLimit: null, capped: merged.length >= limit },
+      query: buildQueryInfo(query, options, { site, categoryEntry, stateList, url: firstResultUrl }),
+      pagination: { total: totalSum, offset: 0, limit, resultsLimit: null, capped: merged.length >= limit, nextOffset: null },
+      stats,
+      partial,
     };
   }
 
+  const ctx = createSearchContext({ ...options, rateLimiter, signal }, site);
   const singleState = stateList[0] ?? null;
-  const MAX_PAGES = 20;
-  const baseUrl = buildUrl(query, { condition, sort, domain: MARKETPLACE_DOMAIN, state: singleState, categoryPath: categoryEntry?.path, noInternational });
+  const urlOptions = { condition, sort, site, offset, state: singleState, categoryPath: categoryEntry?.path, noInternational, priceRange };
+  const facetSegment = await resolveFacetSegment(siteQuery, urlOptions, options.filter, ctx.transport, ctx.counts);
+  const baseUrl = buildUrl(siteQuery, { ...urlOptions, facetSegment });
   log("SEARCH", `first URL: ${baseUrl}`);
-  const firstHtml = await fetchPage(baseUrl, timeout);
-  _requestCount++;
-  if (onFirstResponse) {
-    try {
-      await onFirstResponse({ url: baseUrl, body: firstHtml, timestamp: new Date().toISOString() });
-    } catch {}
-  }
-  const firstState = extractInitialState(firstHtml);
 
-  if (!firstState || !Array.isArray(firstState.results)) {
-    if (looksLikeBlockPage(firstHtml)) {
-      if (onErrorResponse) {
-        try {
-          await onErrorResponse({ url: baseUrl, body: firstHtml, error: "Access blocked (rate limited)", timestamp: new Date().toISOString() });
-        } catch {}
-      }
-      throw new Error("Access blocked by Mercado Livre \u2014 your IP is rate limited. Try again later, or avoid using --no-rate-limit.");
-    }
-    if (onErrorResponse) {
-      try {
-        await onErrorResponse({ url: baseUrl, body: firstHtml, error: "Could not extract search results", timestamp: new Date().toISOString() });
-      } catch {}
+  const progress = createPageProgress(offset);
+  let items = [];
+  try {
+    for await (const pageItems of fetchListingPages(baseUrl, ctx, progress)) {
+      items.push(...pageItems);
+      if (items.length >= limit) break;
     }
-    throw new Error("Could not extract search results. The page structure may have changed.");
+  } catch (err) {
+    if (!signal?.aborted) throw err;
+    log("SEARCH", `aborted after ${progress.pagesFetched} pages: ${describeAbort(signal)}`);
   }
 
-  const bestSellerIds = extractBestSellerIds(firstState);
-
-  const seenIds = new Set();
-  let items = firstState.results.map((r) => parsePolycard(r, { bestSellerIds })).filter(Boolean);
-  for (const item of items) if (item.id) seenIds.add(item.id);
-  log("SEARCH", `page 1 parsed: ${firstState.results.length} results -> ${items.length} valid items, total=${firstState.pagination?.results_limit ?? "?"}`);
-
-  let nextPageUrl = firstState.pagination?.next_page?.show ? firstState.pagination.next_page.url : null;
-  let pagesFetched = 1;
-  while (items.length < limit && nextPageUrl && pagesFetched < MAX_PAGES) {
-    if (!noRateLimit) await sleep(RATE_LIMIT_PAGE_DELAY);
-    const pageHtml = await fetchPage(nextPageUrl, timeout);
-    _requestCount++;
-    const pageState = extractInitialState(pageHtml);
-    if (!pageState || !Array.isArray(pageState.results) || pageState.results.length === 0) break;
+  const capped = items.length >= limit || (progress.nextPageUrl != null && progress.pagesFetched >= MAX_PAGES);
 
-    const pageBestSellerIds = extractBestSellerIds(pageState);
-    const prevCount = items.length;
-    const newItems = pageState.results.map((r) => parsePolycard(r, { bestSellerIds: pageBestSellerIds })).filter(Boolean);
-    for (const item of newItems) {
-      if (item.id && seenIds.has(item.id)) continue;
-      if (item.id) seenIds.add(item.id);
-      items.push(item);
-    }
-    if (items.length === prevCount) break;
-
-    nextPageUrl = pageState.pagination?.next_page?.show ? pageState.pagination.next_page.url : null;
-    pagesFetched++;
-    log("SEARCH", `page ${pagesFetched} fetched: ${newItems.length} new items, items total=${items.length}`);
-  }
+  if (filter.active && !filter.needsDetails) items = items.filter(filter.test);
 
-  const capped = items.length >= limit || (nextPageUrl != null && pagesFetched >= MAX_PAGES);
-
-  if (strict) {
-    const tokens = getQueryTokens(query);
-    if (tokens.length > 0) items = items.filter((item) => matchesTokens(item, tokens));
-  }
+  if (priceRange) items = items.filter((item) => matchesPriceRange(item, priceRange));
 
   if (sort === "price_asc") {
     items.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
@@ -220,68 +171,183 @@ export async function search(query, options = {}) {
 
   items = items.slice(0, limit);
 
-  if (items.length > 0 && !noDetails) {
+  if (items.length > 0 && !noDetails && !signal?.aborted) {
     const queue = items.filter((item) => item.permalink);
-    log("SEARCH", `enriching details for ${queue.length} items (concurrency=${concurrency}, rateLimit=${!noRateLimit})`);
-    for (let i = 0; i < queue.length; i += concurrency) {
-      if (i > 0 && !noRateLimit) await sleep(RATE_LIMIT_DETAIL_DELAY);
-      const batch = queue.slice(i, i + concurrency);
-      const results = await Promise.allSettled(
-        batch.map(async (item) => {
-          try {
-            log("DETAIL", `${item.permalink}`);
-            const html = await fetchPage(item.permalink, timeout);
-            _requestCount++;
-            return extractDetailFromHtml(html);
-          } catch (err) {
-            log("DETAIL", `  -> error: ${err.message}`);
-            if (onErrorResponse) {
-              try {
-                await onErrorResponse({ url: item.permalink, body: null, error: err.message, timestamp: new Date().toISOString() });
-              } catch {}
-            }
-            return null;
-          }
-        }),
-      );
-
-      for (let j = 0; j < batch.length; j++) {
-        const result = results[j];
-        if (result.status === "fulfilled" && result.value) Object.assign(batch[j], result.value);
-      }
-    }
+    log("SEARCH", `enriching details for ${queue.length} items (concurrency=${concurrency}, rate=${rateLimiter ? `${rateLimiter.currentRate()} req/s` : "off"})`);
+    const slot = createSemaphore(concurrency);
+    await Promise.all(queue.map((item) => slot(() => enrichItem(item, ctx))));
   } else if (noDetails) {
     log("SEARCH", `skipping detail enrichment (--no-details)`);
   }
 
-  log("SEARCH", `search() done: ${items.length} items returned, pages=${pagesFetched}, requests=${_requestCount}, capped=${capped}`);
+  assessRisk(items);
+  const nextOffset = resumeOffset(progress, items);
+  if (filter.active && filter.needsDetails) {
+    const before = items.length;
+    items = items.filter(filter.test);
+    log("SEARCH", `detail filter: dropped ${before - items.length} items not matching the local filters`);
+  }
+  if (options.maxRisk != null) {
+    const before = items.length;
+    items = items.filter((item) => item.risk.score <= options.maxRisk);
+    log("SEARCH", `risk filter: dropped ${before - items.length} items above score ${options.maxRisk}`);
+  }
+
+  const stats = buildStats(ctx);
+  const partial = signal?.aborted ?? false;
+  log("SEARCH", `search() done: ${items.length} items returned, pages=${progress.pagesFetched}, requests=${stats.requests}, capped=${capped}, partial=${partial}, nextOffset=${nextOffset}`);
+  if (options.history) await options.history.record(items, { query });
   return {
     items,
-    query: {
-      text: query,
-      condition: condition || null,
-      sort: sort || null,
-      state: singleState,
-      states: stateList,
-      category: categoryEntry?.id || null,
-      strict,
-      url: baseUrl,
-    },
+    query: buildQueryInfo(query, options, { site, categoryEntry, stateList, url: baseUrl }),
     pagination: {
-      total: firstState.pagination?.results_limit || items.length,
-      offset: firstState.pagination?.offset || 0,
+      total: progress.firstState?.pagination?.results_limit || items.length,
+      offset,
       limit,
-      resultsLimit: firstState.pagination?.results_limit || null,
+      resultsLimit: progress.firstState?.pagination?.results_limit || null,
       capped,
+      nextOffset,
     },
-    stats: {
-      requests: _requestCount,
-      pageRequests: pagesFetched,
-      detailRequests: _requestCount - pagesFetched,
-    },
+    stats,
+    partial,
   };
 }
 
+/**
+ * Streams search results as they arrive instead of waiting for the whole run.
+ * Accepts the same options as {@link search}.
+ *
+ * Yields, in order of availability:
+ * - `{type: "item", item}` as soon as a listing card is parsed;
+ * - `{type: "details", item}` once the same item object has been enriched from
+ *   its detail page (emitted exactly once per item unless `noDetails` is set,
+ *   even when the detail request fails);
+ * - `{type: "done", query, pagination, stats, partial}` as the last event.
+ *
+ * When `signal` aborts or `maxTime` runs out, no further pages are fetched,
+ * pending details are emitted unenriched and `done` carries `partial: true`.
+ *
+ * Items are yielded in page order; the local `sort` re-ordering of
+ * {@link search} is not applied, and items are not scored by {@link assessRisk},
+ * so `maxRisk` is rejected.
+ * With several states, the states are fetched one after another, each
+ * contributing up to `limit / states` items, instead of being interleaved.
+ *
+ * With a filter on detail fields, an item is yielded once its details are in
+ * and it matches, and `limit` counts matching items only: no more items than
+ * the remaining `limit` wait for their details at once, and further pages are
+ * read until `limit` items matched or the listing ends.
+ *
+ * @param {string} query - The search query string.
+ * @param {object} [options={}] - Search options (see {@link search}).
+ * @returns {AsyncGenerator<{type: 'item'|'details'|'done'}>} Event stream.
+ * @throws {Error} If the page structure cannot be parsed, or `maxRisk` is set.
+ */
+export async function* searchStream(query, options = {}) {
+  if (options.maxRisk != null) throw new Error("searchStream() does not score risk, so it cannot apply maxRisk (--max-risk, --hide-risky). Use search() instead.");
+  const { limit = DEFAULT_LIMIT, offset = 0, condition, sort, concurrency = DEFAULT_CONCURRENCY, noRateLimit = false, noDetails = false, noInternational = false } = options;
+  const { site, categoryEntry, stateList, priceRange, filter, siteQuery } = prepareSearch(query, options, await loadCategoryTree(options));
+  const rateLimiter = options.rateLimiter ?? (noRateLimit ? null : createRateLimiter({ rate: options.rate }));
+  const signal = runSignal(options);
+  const ctx = createSearchContext({ ...options, rateLimiter, signal }, site);
+  const lateFilter = filter.active && filter.needsDetails && !noDetails;
+  const states = stateList.length > 0 ? stateList : [null];
+  const perState = Math.ceil(limit / states.length);
+  const channel = createChannel();
+  log("SEARCH", `searchStream("${query}") called`, { site: site.id, limit, states, strict: options.strict ?? false, noDetails, concurrency });
+
+  const produce = async () => {
+    const slot = createSemaphore(concurrency);
+    const pending = [];
+    const pagination = { total: 0, offset, limit, resultsLimit: null, capped: false, nextOffset: null };
+    let firstUrl = null;
+    const emittedItems = [];
+    let lastError = null;
+    // Items waiting for their details before the late filter decides on them;
+    // they count against `limit` until it has.
+    const checking = new Set();
+    const full = (stateItems) => emittedItems.length + checking.size >= limit || stateItems.length + checking.size >= perState;
+
+    for (const st of states) {
+      if (channel.closed || emittedItems.length >= limit || signal?.aborted) break;
+      const urlOptions = { condition, sort, site, offset, state: st, categoryPath: categoryEntry?.path, noInternational, priceRange };
+      const progress = createPageProgress(offset);
+      const stateItems = [];
+      const stateCandidates = [];
+      try {
+        const url = buildUrl(siteQuery, { ...urlOptions, facetSegment: await resolveFacetSegment(siteQuery, urlOptions, options.filter, ctx.transport, ctx.counts) });
+        firstUrl ??= url;
+        for await (const pageItems of fetchListingPages(url, ctx, progress)) {
+          for (const item of pageItems) {
+            if (filter.active && !lateFilter && !filter.test(item)) continue;
+            if (priceRange && !matchesPriceRange(item, priceRange)) continue;
+            while (checking.size > 0 && full(stateItems)) await Promise.race(checking);
+            if (emittedItems.length >= limit || stateItems.length >= perState || channel.closed) break;
+            if (lateFilter) {
+              stateCandidates.push(item);
+              const check = slot(async () => {
+                if (!channel.closed && !signal?.aborted && item.permalink) await enrichItem(item, ctx);
+                if (!filter.test(item)) return;
+                emittedItems.push(item);
+                stateItems.push(item);
+                channel.push({ type: "item", item });
+                channel.push({ type: "details", item });
+              }).finally(() => checking.delete(check));
+              checking.add(check);
+              pending.push(check);
+              continue;
+            }
+            emittedItems.push(item);
+            stateItems.push(item);
+            channel.push({ type: "item", item });
+            if (noDetails) continue;
+            pending.push(
+              slot(async () => {
+                if (!channel.closed && !signal?.aborted && item.permalink) await enrichItem(item, ctx);
+                channel.push({ type: "details", item });
+              }),
+            );
+          }
+          while (checking.size > 0 && full(stateItems)) await Promise.race(checking);
+          if (channel.closed || emittedItems.length >= limit || stateItems.length >= perState) break;
+        }
+        await Promise.all(checking);
+      } catch (err) {
+        if (!signal?.aborted) {
+          if (states.length === 1) throw err;
+          log("SEARCH", `state ${st} failed: ${err.message}`);
+          lastError = err;
+          continue;
+        }
+        log("SEARCH", `searchStream() aborted: ${describeAbort(signal)}`);
+      }
+      pagination.total += progress.firstState?.pagination?.results_limit || 0;
+      if (states.length === 1) {
+        pagination.resultsLimit = progress.firstState?.pagination?.results_limit || null;
+        pagination.nextOffset = resumeOffset(progress, lateFilter ? stateCandidates : stateItems);
+      }
+      if (stateItems.length >= perState || (progress.nextPageUrl != null && progress.pagesFetched >= MAX_PAGES)) pagination.capped = true;
+    }
+    if (emittedItems.length === 0 && lastError) throw lastError;
+
+    await Promise.all(pending);
+    pagination.capped ||= emittedItems.length >= limit;
+    log("SEARCH", `searchStream() done: ${emittedItems.length} items emitted`);
+    if (options.history) await options.history.record(emittedItems, { query });
+    channel.push({ type: "done", query: buildQueryInfo(query, options, { site, categoryEntry, stateList, url: firstUrl }), pagination, stats: buildStats(ctx), partial: signal?.aborted ?? false });
+  };
+  produce().then(
+    () => channel.end(),
+    (err) => channel.fail(err),
+  );
+
+  try {
+    yield* channel;
+  } finally {
+    channel.close();
+  }
+}
+
 /**
  * Fetches and returns the raw `initialState` object from a Mercado Livre listing
  * page without any normalisation or filtering. Useful for debugging or exploring
@@ -292,21 +358,35 @@ export async function search(query, options = {}) {
  * @param {'new'|'used'} [options.condition] - Filter items by condition.
  * @param {number} [options.timeout=15000] - HTTP request timeout in milliseconds.
  * @param {'price_asc'|'price_desc'} [options.sort] - Sort order appended to the URL.
+ * @param {string} [options.site="MLB"] - Mercado Libre site ID.
+ * @param {import("./transport.js").Fetcher} [options.fetcher] - HTTP transport; defaults to NLcURL.
+ * @param {object} [options.cache] - Response cache from {@link createCache}.
+ * @param {number} [options.retries=2] - Retries per request on transient failures.
+ * @param {number} [options.retryMaxDelay=30000] - Upper bound for a single backoff wait in milliseconds.
+ * @param {number} [options.offset=0] - Result position of the fetched page.
+ * @param {number} [options.minPrice] - Lowest item price, sent in the URL.
+ * @param {number} [options.maxPrice] - Highest item price, sent in the URL.
+ * @param {string|string[]} [options.filter] - Site facet filters (see {@link search}).
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
  * @returns {Promise<object>} The raw `initialState` JSON object extracted from the page.
- * @throws {Error} If `initialState` cannot be extracted.
+ * @throws {Error} If `initialState` cannot be extracted, or the signal's reason when aborted.
  */
 export async function searchRaw(query, options = {}) {
-  const { condition, timeout = DEFAULT_TIMEOUT, sort, state, category, noInternational = false } = options;
-  log("SEARCH", `searchRaw("${query}") called`, { timeout, condition, sort, state, category });
+  const { condition, timeout = DEFAULT_TIMEOUT, sort, site: siteId, state, category, offset = 0, noInternational = false } = options;
+  const site = resolveSite(siteId);
+  log("SEARCH", `searchRaw("${query}") called`, { site: site.id, timeout, condition, sort, state, category });
 
-  const categoryEntry = category ? resolveCategory(category) : null;
+  const categoryEntry = category ? resolveCategory(category, site, await loadCategoryTree(options)) : null;
   if (condition && categoryEntry) {
     throw new Error("The --condition and --category flags cannot be used together. Remove one of them.");
   }
 
-  const url = buildUrl(query, { condition, sort, domain: MARKETPLACE_DOMAIN, state: state || null, categoryPath: categoryEntry?.path, noInternational });
-  const html = await fetchPage(url, timeout);
-  const pageState = extractInitialState(html);
+  const priceRange = resolvePriceRange(options);
+  const urlOptions = { condition, sort, site, offset, state: state || null, categoryPath: categoryEntry?.path, noInternational, priceRange };
+  const transport = createTransport(options);
+  const facetSegment = await resolveFacetSegment(query, urlOptions, options.filter, transport);
+  const url = buildUrl(query, { ...urlOptions, facetSegment });
+  const { data: pageState } = await fetchPage(url, transport, { parse: extractInitialState });
 
   if (!pageState) {
     throw new Error("Could not extract initialState from the page.");
@@ -316,36 +396,370 @@ export async function searchRaw(query, options = {}) {
 }
 
 /**
- * Returns the known MLB categories as an array of `{id, path, name}` objects.
+ * Returns the known categories of a site as an array of `{id, path, name}` objects.
  *
+ * @param {string} [siteId="MLB"] - Mercado Libre site ID.
  * @returns {{id: string, path: string, name: string}[]} Array of category entries.
  */
-export function getCategories() {
-  return [...CATEGORIES.entries()].map(([id, v]) => ({ id, ...v }));
+export function getCategories(siteId) {
+  const { categories } = resolveSite(siteId);
+  return [...categories.entries()].map(([id, v]) => ({ id, ...v }));
+}
+
+/**
+ * Fetches the first listing page of a search and returns the site's filter
+ * facets for it (brand, condition, shipping, price ranges…) with their
+ * result counts. Any value can be applied to a search with
+ * `filter: "<facet id or name>=<value id or name>"`.
+ *
+ * @param {string} query - The search query string.
+ * @param {object} [options={}] - Same options as {@link searchRaw}, including `filter` to drill down.
+ * @returns {Promise<{id: string, name: string, values: {id: string, name: string, count: number|null, url: string|null}[]}[]>}
+ * @throws {Error} If the page cannot be fetched or parsed, or a `filter` does not resolve.
+ */
+export async function getFacets(query, options = {}) {
+  return extractFacets(await searchRaw(query, options));
+}
+
+/**
+ * Resolves `filter` expressions into the URL segment that applies them. The
+ * facets, and so the IDs behind facet and value names, depend on the search,
+ * so they are read from the unfiltered first page of the same URL. On sites
+ * without a region URL segment (`site.regions` is `null`), the state is
+ * resolved the same way, through the page's location facet.
+ *
+ * @param {string} query - Query text sent to the site.
+ * @param {object} urlOptions - {@link buildUrl} options of the search.
+ * @param {string|string[]|undefined} filter - `--filter` expressions.
+ * @param {object} transport - Transport from {@link createTransport}.
+ * @param {object} [counts] - Request counters to update.
+ * @returns {Promise<string>} The segment, or `""` without filters or facet-resolved state.
+ * @throws {Error} If the page cannot be parsed, or a filter or the state does not resolve.
+ */
+async function resolveFacetSegment(query, urlOptions, filter, transport, counts) {
+  const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+  const region = urlOptions.site.regions ? null : urlOptions.state;
+  if (filters.length === 0 && !region) return "";
+  const url = buildUrl(query, { ...urlOptions, offset: 0 });
+  const { data: state, cached } = await fetchPage(url, transport, { parse: extractInitialState });
+  if (counts && !cached) counts.pageRequests++;
+  if (!state) throw new Error(`Could not read the filter facets of ${url} to apply ${filters.length > 0 ? "--filter" : "--state"}. The search may have no results.`);
+  const facets = extractFacets(state);
+  const resolved = filters.length > 0 ? resolveFacetFilters(facets, filters) : { segment: "", applied: [] };
+  if (region) {
+    const r = resolveRegionFilter(facets, region, urlOptions.site.regionLabel);
+    resolved.segment = r.segment + resolved.segment;
+    resolved.applied.unshift(r.applied);
+  }
+  log("SEARCH", `facets: ${resolved.applied.map((a) => `${a.facetName}=${a.valueName}`).join(", ")} -> ${resolved.segment}`);
+  return resolved.segment;
+}
+
+/**
+ * Builds or extends the category tree of a site by walking the `category`
+ * filter of listing pages, starting from the known top-level categories.
+ * The tree is stored in `file`, and nodes whose children were fetched less
+ * than `maxAge` ago are not fetched again, so later calls only pay for the
+ * levels they add.
+ *
+ * @param {object} [options={}] - Request options (same as {@link getItem}), plus:
+ * @param {number} [options.depth=2] - Levels to discover, counting the starting one; `1` adds no requests.
+ * @param {string} [options.root] - Start below this category (ID or slug) instead of the top level.
+ * @param {string|false} [options.file] - Tree file; defaults to `defaultCategoryFile(site)`. `false` neither reads nor writes one.
+ * @param {number} [options.maxAge=DEFAULT_CATEGORY_MAX_AGE] - Age in milliseconds after which a node is fetched again.
+ * @param {boolean} [options.refresh=false] - Fetch every node within `depth` again.
+ * @returns {Promise<{site: string, updatedAt: string|null, roots: string[], nodes: Object<string, {id: string, name: string, path: string, parentId: string|null, results: number|null, children: string[]|null, fetchedAt: string|null}>}>}
+ *   `children` is `null` for nodes that were never expanded and `[]` for leaves.
+ * @throws {Error} On an invalid depth, an unknown root, or the caller's abort reason. Failing nodes are logged and skipped.
+ */
+export async function discoverCategories(options = {}) {
+  const { depth = 2, refresh = false, maxAge = DEFAULT_CATEGORY_MAX_AGE } = options;
+  if (!Number.isInteger(depth) || depth < 1) throw new Error(`Invalid --depth "${depth}". It must be a positive integer.`);
+  const site = resolveSite(options.site);
+  const file = options.file === undefined ? defaultCategoryFile(site.id) : options.file;
+  const tree = (file && (await readCategoryTree(file))) || { site: site.id, updatedAt: null, roots: [], nodes: {} };
+  for (const [id, entry] of site.categories) {
+    tree.nodes[id] ??= { id, name: entry.name, path: entry.path, parentId: null, results: null, children: null, fetchedAt: null };
+    if (!tree.roots.includes(id)) tree.roots.push(id);
+  }
+
+  const rateLimiter = options.rateLimiter ?? (options.noRateLimit ? null : createRateLimiter({ rate: options.rate }));
+  const ctx = createSearchContext({ ...options, rateLimiter }, site);
+  let frontier = options.root ? [resolveCategory(options.root, site, tree).id] : tree.roots;
+  let changed = false;
+  log("CATEGORIES", `discoverCategories() site=${site.id} depth=${depth} root=${options.root ?? "-"} file=${file || "-"}`);
+  try {
+    for (let level = 1; level < depth && frontier.length > 0; level++) {
+      const next = [];
+      for (const id of frontier) {
+        const node = tree.nodes[id];
+        const fresh = node.children && !refresh && Date.now() - Date.parse(node.fetchedAt) < maxAge;
+        if (!fresh) {
+          try {
+            await expandCategory(node, tree, ctx);
+            changed = true;
+          } catch (err) {
+            if (options.signal?.aborted) throw err;
+            log("CATEGORIES", `${id} (${node.path}) failed: ${err.message}`);
+            continue;
+          }
+        }
+        next.push(...node.children);
+      }
+      frontier = next;
+    }
+  } finally {
+    if (changed) {
+      tree.updatedAt = new Date().toISOString();
+      if (file) await writeCategoryTree(file, tree);
+    }
+  }
+  return tree;
+}
+
+/**
+ * Fetches a category's listing page and stores its subcategories as the
+ * node's children. Subcategories already in the tree keep their own
+ * children; a value pointing back at the node or one of its ancestors is
+ * ignored.
+ *
+ * @param {object} node - Tree node to expand; mutated.
+ * @param {object} tree - The tree; mutated.
+ * @param {object} ctx - Search context from {@link createSearchContext}.
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails or the page cannot be parsed.
+ */
+async function expandCategory(node, tree, ctx) {
+  const url = `https://${ctx.site.domain}/${node.path}/`;
+  const { body: html, data: state, cached } = await fetchPage(url, ctx.transport, { parse: extractInitialState });
+  if (!cached) ctx.counts.pageRequests++;
+  if (!state) {
+    if (looksLikeBlockPage(html)) {
+      ctx.rateLimiter?.penalize();
+      throw new Error("Access blocked by Mercado Livre \u2014 your IP is rate limited. Try again later, or avoid using --no-rate-limit.");
+    }
+    await notify(ctx.onErrorResponse, { url, body: html, error: "Could not extract initialState" });
+    throw new Error(`Could not extract initialState from ${url}. The page structure may have changed.`);
+  }
+
+  const ancestors = new Set();
+  for (let id = node.id; id && !ancestors.has(id); id = tree.nodes[id]?.parentId) ancestors.add(id);
+  const children = extractCategoryFilter(state).filter((c) => !ancestors.has(c.id));
+  for (const child of children) {
+    const existing = tree.nodes[child.id];
+    tree.nodes[child.id] = { ...child, parentId: existing ? existing.parentId : node.id, children: existing?.children ?? null, fetchedAt: existing?.fetchedAt ?? null };
+  }
+  node.children = children.map((c) => c.id);
+  node.fetchedAt = new Date().toISOString();
+  log("CATEGORIES", `${node.id} (${node.path}): ${children.length} subcategories`);
+}
+
+/**
+ * Returns the category tree a search should resolve `category` against:
+ * `options.categoryTree`, or the stored tree of the site when a category is set.
+ *
+ * @param {object} options - Options passed to the public entry point.
+ * @returns {Promise<object|null>}
+ */
+async function loadCategoryTree(options) {
+  if (!options.category) return null;
+  return options.categoryTree ?? (await readCategoryTree(defaultCategoryFile(resolveSite(options.site).id)));
+}
+
+/**
+ * Fetches a single listing by item ID or URL and returns it in the same shape
+ * as a search item, merged with the detail fields of {@link extractDetailFromHtml}.
+ * Fields the product page does not expose are `null`.
+ *
+ * @param {string} idOrUrl - Item ID (e.g. "MLB1234567890", "MLA-123456789") or listing URL.
+ * @param {object} [options={}] - Request options.
+ * @param {string} [options.site="MLB"] - Site used for bare numeric IDs; prefixed IDs select their own site.
+ * @param {number} [options.timeout=15000] - HTTP request timeout in milliseconds.
+ * @param {import("./transport.js").Fetcher} [options.fetcher] - HTTP transport; defaults to NLcURL.
+ * @param {object} [options.cache] - Response cache from {@link createCache}.
+ * @param {number} [options.retries=2] - Retries per request on transient failures.
+ * @param {number} [options.retryMaxDelay=30000] - Upper bound for a single backoff wait in milliseconds.
+ * @param {number} [options.rate=3] - Requests per second allowed by the rate limiter.
+ * @param {object} [options.rateLimiter] - Limiter from {@link createRateLimiter}, to share a budget across calls.
+ * @param {boolean} [options.noRateLimit=false] - Disable rate limiting entirely.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @returns {Promise<object>} The listing.
+ * @throws {Error} If the input is not an item ID or URL, the request fails, or the page cannot be parsed.
+ */
+export async function getItem(idOrUrl, options = {}) {
+  const { site, id, url } = resolveItemUrl(idOrUrl, options.site);
+  const rateLimiter = options.rateLimiter ?? (options.noRateLimit ? null : createRateLimiter({ rate: options.rate }));
+  const ctx = createSearchContext({ ...options, rateLimiter, signal: options.signal }, site);
+  log("ITEM", `getItem("${idOrUrl}") -> ${url}`);
+
+  const { body: html, data: item } = await fetchPage(url, ctx.transport, { kind: "detail", parse: (body) => extractItemFromHtml(body, { url, id, site }) });
+  if (!item) {
+    if (looksLikeBlockPage(html)) {
+      rateLimiter?.penalize();
+      await notify(ctx.onErrorResponse, { url, body: html, error: "Access blocked (rate limited)" });
+      throw new Error("Access blocked by Mercado Livre \u2014 your IP is rate limited. Try again later, or avoid using --no-rate-limit.");
+    }
+    await notify(ctx.onErrorResponse, { url, body: html, error: "Could not extract listing data" });
+    throw new Error(`Could not extract listing data from ${url}. The page structure may have changed.`);
+  }
+  return item;
+}
+
+/**
+ * Fetches the customer reviews of a listing, paging through the reviews
+ * endpoint until `limit` reviews are collected or none are left.
+ *
+ * @param {string} idOrUrl - Item ID or listing URL.
+ * @param {object} [options={}] - Request options (same as {@link getItem}).
+ * @param {number} [options.limit=50] - Maximum number of reviews to return.
+ * @returns {Promise<{id: string, total: number|null, average: number|null, histogram: Object<string, number>|null, reviews: {id: string|null, rating: number|null, title: string|null, text: string|null, date: string|null, helpful: number}[]}>}
+ * @throws {Error} If the input has no item ID, a request fails or the response cannot be parsed.
+ */
+export async function getReviews(idOrUrl, options = {}) {
+  const { limit = 50 } = options;
+  if (!Number.isInteger(limit) || limit < 1) throw new Error(`Invalid limit "${limit}". It must be a positive integer.`);
+  const { site, id } = resolveItemUrl(idOrUrl, options.site);
+  if (!id) throw new Error(`Could not find an item ID in "${idOrUrl}".`);
+  const rateLimiter = options.rateLimiter ?? (options.noRateLimit ? null : createRateLimiter({ rate: options.rate }));
+  const ctx = createSearchContext({ ...options, rateLimiter, signal: options.signal }, site);
+  log("REVIEWS", `getReviews("${idOrUrl}") limit=${limit}`);
+  return { id, ...(await fetchReviews(id, ctx, limit)) };
+}
+
+/**
+ * Pages through the reviews endpoint of an item.
+ *
+ * @param {string} id - Item ID.
+ * @param {object} ctx - Search context from {@link createSearchContext}.
+ * @param {number} limit - Maximum number of reviews to collect.
+ * @returns {Promise<{total: number|null, average: number|null, histogram: object|null, reviews: object[]}>}
+ * @throws {Error} If a request fails or the first page cannot be parsed.
+ */
+async function fetchReviews(id, ctx, limit) {
+  const { site } = ctx;
+  const out = { total: null, average: null, histogram: null, reviews: [] };
+  for (let offset = 0; out.reviews.length < limit; offset += REVIEWS_PAGE_SIZE) {
+    const url = `${site.homepage}/noindex/catalog/reviews/${id}/search?objectId=${id}&siteId=${site.id}&isItem=true&offset=${offset}&limit=${REVIEWS_PAGE_SIZE}`;
+    const { body, data: page, cached } = await fetchPage(url, ctx.transport, { kind: "detail", parse: parseReviewsPage });
+    if (!cached) ctx.counts.reviewRequests++;
+    if (!page) {
+      if (offset === 0) {
+        if (looksLikeBlockPage(body)) ctx.rateLimiter?.penalize();
+        await notify(ctx.onErrorResponse, { url, body, error: "Could not extract reviews" });
+        throw new Error(`Could not extract reviews for ${id}. The page structure may have changed.`);
+      }
+      break;
+    }
+    if (offset === 0) Object.assign(out, { total: page.total, average: page.average, histogram: page.histogram });
+    out.reviews.push(...page.reviews.slice(0, limit - out.reviews.length));
+    log("REVIEWS", `${id} offset=${offset}: ${page.reviews.length} reviews (total=${page.total ?? "?"})`);
+    if (page.reviews.length < REVIEWS_PAGE_SIZE || (page.total != null && offset + REVIEWS_PAGE_SIZE >= page.total)) break;
+  }
+  return out;
+}
+
+/**
+ * Fetches a seller's public profile page and returns their reputation,
+ * sales count, time on the platform, location and official-store status.
+ *
+ * @param {string} nameOrId - Seller nickname, numeric seller ID or profile URL.
+ * @param {object} [options={}] - Request options (same as {@link getItem}).
+ * @param {string} [options.site="MLB"] - Site whose profile pages are queried.
+ * @returns {Promise<{id: string|null, nickname: string, permalink: string, reputation: {level: string|null, powerSeller: string|null}, sales: number|null, yearsOnPlatform: number|null, since: string|null, location: string|null, officialStore: boolean}>}
+ * @throws {Error} If the input is empty, the request fails (e.g. an unknown nickname) or the page cannot be parsed.
+ */
+export async function getSeller(nameOrId, options = {}) {
+  const site = resolveSite(options.site);
+  const url = resolveSellerUrl(nameOrId, site);
+  const rateLimiter = options.rateLimiter ?? (options.noRateLimit ? null : createRateLimiter({ rate: options.rate }));
+  const ctx = createSearchContext({ ...options, rateLimiter, signal: options.signal }, site);
+  log("SELLER", `getSeller("${nameOrId}") -> ${url}`);
+
+  const { body: html, data: seller } = await fetchPage(url, ctx.transport, { kind: "detail", parse: (body) => extractSellerFromHtml(body, { url }) });
+  if (!seller) {
+    if (looksLikeBlockPage(html)) {
+      rateLimiter?.penalize();
+      await notify(ctx.onErrorResponse, { url, body: html, error: "Access blocked (rate limited)" });
+      throw new Error("Access blocked by Mercado Livre \u2014 your IP is rate limited. Try again later, or avoid using --no-rate-limit.");
+    }
+    await notify(ctx.onErrorResponse, { url, body: html, error: "Could not extract seller profile" });
+    throw new Error(`Could not extract seller profile from ${url}. The page structure may have changed.`);
+  }
+  if (!seller.id && /^\d+$/.test(String(nameOrId).trim())) seller.id = String(nameOrId).trim();
+  return seller;
+}
+
+/**
+ * Turns a seller nickname, numeric ID or profile URL into the profile URL to fetch.
+ *
+ * @param {string} input - Nickname, ID or URL.
+ * @param {object} site - Resolved site definition.
+ * @returns {string}
+ * @throws {Error} If the input is empty.
+ */
+function resolveSellerUrl(input, site) {
+  const text = String(input ?? "").trim();
+  if (!text) throw new Error("No seller nickname or ID provided.");
+  if (/^https?:\/\//i.test(text)) return text.replace(/#.*$/, "");
+  if (/^\d+$/.test(text)) return `https://${site.profileDomain}/profile/showProfile?id=${text}`;
+  return `https://${site.profileDomain}/${encodeURIComponent(text.replace(/\s+/g, "+")).replace(/%2B/g, "+")}`;
 }
 
 /**
- * Resolves a category identifier (ID or URL path) to a category entry.
+ * Turns an item ID or listing URL into the URL to fetch.
+ *
+ * @param {string} input - Item ID or URL.
+ * @param {string} [siteId] - Site used for bare numeric IDs.
+ * @returns {{site: object, id: string|null, url: string}}
+ * @throws {Error} If the input is neither a known site's item ID nor an http(s) URL.
+ */
+function resolveItemUrl(input, siteId) {
+  const text = String(input ?? "").trim();
+  const known = new Set(getSites().map((s) => s.id));
+
+  if (/^https?:\/\//i.test(text)) {
+    const url = text.replace(/#.*$/, "");
+    const m = url.match(ITEM_ID_RE);
+    const site = resolveSite(m && known.has(m[1].toUpperCase()) ? m[1] : siteId);
+    return { site, id: m ? `${m[1].toUpperCase()}${m[2]}` : null, url };
+  }
+
+  const m = text.match(/^([A-Za-z]{3})?-?(\d{6,})$/);
+  if (!m || (m[1] && !known.has(m[1].toUpperCase()))) {
+    throw new Error(`"${text}" is not an item ID or URL. Use an ID such as "MLB1234567890" or a listing URL.`);
+  }
+  const site = resolveSite(m[1] || siteId);
+  return { site, id: `${site.id}${m[2]}`, url: `https://${site.productDomain}/${site.id}-${m[2]}` };
+}
+
+/**
+ * Resolves a category identifier (ID or URL path) to a category entry,
+ * looking at the site's known categories first and then at the discovered tree.
  * Throws if the category is not found.
  *
  * @param {string} input - Category ID (e.g. "MLB1648") or path (e.g. "informatica").
+ * @param {object} site - Resolved site definition.
+ * @param {object|null} [tree=null] - Tree from {@link discoverCategories}.
  * @returns {{id: string, path: string, name: string}} Resolved category.
  * @throws {Error} If the category is not recognised.
  */
-function resolveCategory(input) {
+function resolveCategory(input, site, tree = null) {
+  const { categories } = site;
   const upper = input.toUpperCase();
-  if (CATEGORIES.has(upper)) {
-    const entry = CATEGORIES.get(upper);
+  if (categories.has(upper)) {
+    const entry = categories.get(upper);
     return { id: upper, ...entry };
   }
   const lower = input.toLowerCase();
-  for (const [id, entry] of CATEGORIES) {
+  for (const [id, entry] of categories) {
     if (entry.path === lower || entry.path.endsWith("/" + lower)) {
       return { id, ...entry };
     }
   }
-  const list = [...CATEGORIES.entries()].map(([id, v]) => `  ${id.padEnd(10)} ${v.name}`).join("\n");
-  throw new Error(`Unknown category "${input}".\n\nValid categories:\n${list}\n\nUse --list-categories to see all options.`);
+  const node = findCategory(tree, input);
+  if (node) return { id: node.id, path: node.path, name: node.name };
+  const list = [...categories.entries()].map(([id, v]) => `  ${id.padEnd(10)} ${v.name}`).join("\n");
+  throw new Error(`Unknown category "${input}" for site ${site.id}.\n\nValid categories:\n${list}\n\nUse --list-categories to see all options, or --list-categories --depth 3 to discover subcategories.`);
 }
 
 /**
@@ -375,19 +789,22 @@ function extractBestSellerIds(state) {
  * @param {object} params - URL parameters.
  * @param {'new'|'used'|undefined} params.condition - Item condition filter.
  * @param {'price_asc'|'price_desc'|undefined} params.sort - Sort order.
- * @param {string} params.domain - The regional ML domain (e.g. `lista.mercadolivre.com.br`).
+ * @param {object} params.site - Resolved site definition (domain and URL suffixes).
+ * @param {{min: number|null, max: number|null}|null} [params.priceRange] - Price range segment; `0` stands for an open bound.
+ * @param {string} [params.facetSegment=""] - Facet filter segment from {@link resolveFacetSegment}.
  * @returns {string} The fully qualified search URL.
+ * @throws {Error} If `noInternational` is requested on a site without a known origin filter.
  */
-function buildUrl(query, { condition, sort, domain, offset = 0, state, categoryPath, noInternational = false }) {
+function buildUrl(query, { condition, sort, site, offset = 0, state, categoryPath, noInternational = false, priceRange = null, facetSegment = "" }) {
   const slug = encodeURIComponent(query).replace(/%20/g, "-");
 
   let suffix = "";
-  if (!categoryPath) {
-    if (condition === "used") suffix = "_Usado";
-    else if (condition === "new") suffix = "_Novo";
+  if (!categoryPath && condition) {
+    suffix = site.conditionSuffix[condition] || "";
   }
 
-  const stateParam = state ? `_Estado_${state.toUpperCase()}` : "";
+  const stateParam = state && site.regions ? `_Estado_${state.toUpperCase()}` : "";
+  const priceParam = priceRange ? `_PriceRange_${priceRange.min ?? 0}-${priceRange.max ?? 0}` : "";
 
   let sortParam = "";
   if (sort === "price_asc") sortParam = "_OrderId_PRICE";
@@ -395,13 +812,16 @@ function buildUrl(query, { condition, sort, domain, offset = 0, state, categoryP
 
   const fromParam = offset > 0 ? `_Desde_${offset + 1}` : "";
 
-  const shippingOriginParam = noInternational ? "_NoIndex_True_SHIPPING*ORIGIN_10215068" : "";
+  if (noInternational && !site.internationalFilter) {
+    throw new Error(`The --no-international flag is not supported for site ${site.id}.`);
+  }
+  const shippingOriginParam = noInternational ? site.internationalFilter : "";
 
   if (categoryPath) {
-    return `https://${domain}/${categoryPath}/${slug}${stateParam}${sortParam}${shippingOriginParam}${fromParam}_NoIndex_True`;
+    return `https://${site.domain}/${categoryPath}/${slug}${stateParam}${priceParam}${facetSegment}${sortParam}${shippingOriginParam}${fromParam}_NoIndex_True`;
   }
 
-  return `https://${domain}/${slug}${suffix}${stateParam}${sortParam}${shippingOriginParam}${fromParam}`;
+  return `https://${site.domain}/${slug}${suffix}${stateParam}${priceParam}${facetSegment}${sortParam}${shippingOriginParam}${fromParam}`;
 }
 
 /**
@@ -412,31 +832,519 @@ function buildUrl(query, { condition, sort, domain, offset = 0, state, categoryP
  * @returns {boolean}
  */
 function looksLikeBlockPage(html) {
-  return /captcha|px-captcha|robot|challenge|acesso\s+negado|access\s+denied|just\s+a\s+moment|blocked|rate.?limit/i.test(html.slice(0, 8000));
+  return /captcha|px-captcha|robot|challenge|acesso\s+negado|acceso\s+denegado|access\s+denied|just\s+a\s+moment|blocked|rate.?limit/i.test(html.slice(0, 8000));
+}
+
+/**
+ * Validates the search options shared by {@link search}, {@link searchStream}
+ * and {@link searchRaw}, and resolves the site, category and state list.
+ *
+ * @param {string} query - The search query string.
+ * @param {object} options - Options passed to the public entry point.
+ * @param {object|null} [categoryTree=null] - Discovered category tree for `options.category`.
+ * @returns {{site: object, categoryEntry: object|null, stateList: string[], priceRange: object|null, filter: object, siteQuery: string}}
+ *   `siteQuery` is the text sent to the site: the query without the `--strict` syntax.
+ * @throws {Error} On unknown site/category/state, an invalid price range, an invalid `--strict` query or `--where` expression or conflicting filters.
+ */
+function prepareSearch(query, options, categoryTree = null) {
+  const { site: siteId, state, category, condition, offset } = options;
+  const site = resolveSite(siteId);
+  const categoryEntry = category ? resolveCategory(category, site, categoryTree) : null;
+
+  if (condition && categoryEntry) {
+    throw new Error("The --condition and --category flags cannot be used together. Remove one of them.");
+  }
+
+  const stateList = state
+    ? state
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean)
+    : [];
+  for (const s of site.regions ? stateList : []) {
+    if (!site.regions.has(s)) throw new Error(`Unknown state "${s}". Use a valid ${site.regionLabel} (e.g. ${[...site.regions].slice(0, 3).join(", ")}).`);
+  }
+
+  if (offset != null && !(Number.isInteger(offset) && offset >= 0)) {
+    throw new Error(`Invalid --offset "${offset}". It must be a non-negative integer.`);
+  }
+  if (offset > 0 && stateList.length > 1) {
+    throw new Error("The --offset flag cannot be used with multiple states. Search one state at a time to resume a crawl.");
+  }
+  if (options.maxRisk != null && !(Number.isFinite(options.maxRisk) && options.maxRisk >= 0 && options.maxRisk <= 100)) {
+    throw new Error(`Invalid --max-risk "${options.maxRisk}". It must be a number from 0 to 100.`);
+  }
+
+  if (options.maxDeliveryDays != null && !(Number.isInteger(options.maxDeliveryDays) && options.maxDeliveryDays >= 0)) {
+    throw new Error(`Invalid --max-delivery-days "${options.maxDeliveryDays}". It must be a non-negative integer.`);
+  }
+
+  for (const expr of Array.isArray(options.filter) ? options.filter : options.filter ? [options.filter] : []) parseFacetFilter(expr);
+  const where = [...(Array.isArray(options.where) ? options.where : options.where ? [options.where] : []), ...shippingConditions(options)];
+  const filter = compileFilter({ query, strict: options.strict, exclude: options.exclude, where, noDetails: options.noDetails });
+  const siteQuery = options.strict ? searchTerms(query) : query;
+  return { site, categoryEntry, stateList, priceRange: resolvePriceRange(options), filter, siteQuery };
+}
+
+/**
+ * Validates the `minPrice`/`maxPrice` options.
+ *
+ * @param {{minPrice?: number, maxPrice?: number}} options
+ * @returns {{min: number|null, max: number|null}|null} The range, or `null` when neither bound is set.
+ * @throws {Error} If a bound is not a non-negative number or the range is empty.
+ */
+function resolvePriceRange({ minPrice, maxPrice }) {
+  if (minPrice == null && maxPrice == null) return null;
+  if (minPrice != null && !(Number.isFinite(minPrice) && minPrice >= 0)) throw new Error(`Invalid --min-price "${minPrice}". It must be a non-negative number.`);
+  if (maxPrice != null && !(Number.isFinite(maxPrice) && maxPrice >= 0)) throw new Error(`Invalid --max-price "${maxPrice}". It must be a non-negative number.`);
+  if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+    throw new Error(`The --min-price (${minPrice}) cannot be greater than --max-price (${maxPrice}).`);
+  }
+  return { min: minPrice ?? null, max: maxPrice ?? null };
+}
+
+/**
+ * Builds the `query` block echoed back in search results.
+ *
+ * @param {string} query - The search query string.
+ * @param {object} options - Options passed to the public entry point.
+ * @param {object} resolved - Resolved `site`, `categoryEntry`, `stateList` and first `url`.
+ * @returns {object}
+ */
+function buildQueryInfo(query, { condition, sort, strict = false, exclude, where, filter, minPrice, maxPrice, fullOnly = false, maxDeliveryDays }, { site, categoryEntry, stateList, url }) {
+  return {
+    text: query,
+    site: site.id,
+    condition: condition || null,
+    sort: sort || null,
+    state: stateList.length > 1 ? stateList.join(",") : (stateList[0] ?? null),
+    states: stateList,
+    category: categoryEntry?.id || null,
+    strict,
+    exclude: Array.isArray(exclude) ? exclude : exclude ? [exclude] : [],
+    where: Array.isArray(where) ? where : where ? [where] : [],
+    filter: Array.isArray(filter) ? filter : filter ? [filter] : [],
+    minPrice: minPrice ?? null,
+    maxPrice: maxPrice ?? null,
+    fullOnly,
+    maxDeliveryDays: maxDeliveryDays ?? null,
+    url,
+  };
+}
+
+/**
+ * Creates the per-run state shared by the page and detail helpers: the
+ * transport, the response callbacks and the request counters.
+ *
+ * @param {object} options - Options passed to the public entry point (with a resolved `rateLimiter`).
+ * @param {object} site - Resolved site definition.
+ * @returns {object}
+ */
+function createSearchContext(options, site) {
+  const { onFirstResponse = null, onErrorResponse = null } = options;
+  return { site, transport: createTransport(options), rateLimiter: options.rateLimiter ?? null, onFirstResponse, onErrorResponse, reviews: options.reviews ?? 0, seenIds: new Set(), counts: { pageRequests: 0, detailRequests: 0, reviewRequests: 0 } };
+}
+
+/**
+ * Combines the caller's `signal` with the `maxTime` budget into the single
+ * signal that cancels a run.
+ *
+ * @param {{signal?: AbortSignal, maxTime?: number}} options
+ * @returns {AbortSignal|undefined} `undefined` when neither is set.
+ */
+function runSignal({ signal, maxTime }) {
+  if (maxTime == null) return signal;
+  if (!(maxTime > 0)) throw new Error(`Invalid maxTime "${maxTime}". It must be a positive number of milliseconds.`);
+  const budget = AbortSignal.timeout(maxTime);
+  return signal ? AbortSignal.any([signal, budget]) : budget;
+}
+
+/**
+ * Describes why a run signal was aborted, for log lines.
+ *
+ * @param {AbortSignal} signal - An aborted signal.
+ * @returns {string}
+ */
+function describeAbort(signal) {
+  return signal.reason?.name === "TimeoutError" ? "time budget exhausted" : "cancelled";
 }
 
 /**
- * Fetches a page body using NLcURL with Chrome TLS fingerprint impersonation.
+ * Returns the `stats` block of a search result from its context.
+ *
+ * @param {object} ctx - Search context from {@link createSearchContext}.
+ * @returns {object}
+ */
+function buildStats(ctx) {
+  const { pageRequests, detailRequests, reviewRequests } = ctx.counts;
+  return { requests: pageRequests + detailRequests + reviewRequests, pageRequests, detailRequests, reviewRequests, ...ctx.transport.stats };
+}
+
+/**
+ * Creates the pagination record updated by {@link fetchListingPages}.
+ * `positions` maps each yielded item to its zero-based result position and
+ * `consumedEnd` is the position right after the last fetched page.
+ *
+ * @param {number} [offset=0] - Result position of the first page.
+ * @returns {{pagesFetched: number, nextPageUrl: string|null, firstState: object|null, positions: WeakMap<object, number>, consumedEnd: number}}
+ */
+function createPageProgress(offset = 0) {
+  return { pagesFetched: 0, nextPageUrl: null, firstState: null, positions: new WeakMap(), consumedEnd: offset };
+}
+
+/**
+ * Returns the zero-based result position a listing page URL starts at,
+ * read from its `_Desde_N` segment.
+ *
+ * @param {string} url - Listing page URL.
+ * @returns {number}
+ */
+function pageStartOf(url) {
+  const m = url.match(/_Desde_(\d+)/);
+  return m ? Number(m[1]) - 1 : 0;
+}
+
+/**
+ * Computes the offset a later call should start from to continue after the
+ * returned items: right after the last returned item in page order, or after
+ * the last fetched page when nothing was returned.
+ *
+ * @param {object} progress - Progress record from {@link createPageProgress}.
+ * @param {object[]} items - Items handed back to the caller.
+ * @returns {number|null} Next offset, or `null` when the listing is exhausted.
+ */
+function resumeOffset(progress, items) {
+  let last = -1;
+  for (const item of items) last = Math.max(last, progress.positions.get(item) ?? -1);
+  const next = last >= 0 ? last + 1 : progress.consumedEnd;
+  if (progress.nextPageUrl == null && next >= progress.consumedEnd) return null;
+  const resultsLimit = progress.firstState?.pagination?.results_limit;
+  if (resultsLimit && next >= resultsLimit) return null;
+  return next;
+}
+
+/**
+ * Invokes a response callback, swallowing any error it throws.
+ *
+ * @param {Function|null} callback
+ * @param {object} data
+ * @returns {Promise<void>}
+ */
+async function notify(callback, data) {
+  if (!callback) return;
+  try {
+    await callback({ ...data, timestamp: new Date().toISOString() });
+  } catch {}
+}
+
+/**
+ * Walks the listing pages of a search, yielding the new (not yet seen) parsed
+ * items of each page. Stops after {@link MAX_PAGES} pages, when a page has no
+ * results or brings no new items. The caller stops earlier by breaking out.
+ *
+ * @param {string} baseUrl - URL of the first listing page.
+ * @param {object} ctx - Search context from {@link createSearchContext}.
+ * @param {object} progress - Progress record from {@link createPageProgress}, updated in place.
+ * @returns {AsyncGenerator<object[]>}
+ * @throws {Error} If the first page is a block page or cannot be parsed.
+ */
+async function* fetchListingPages(baseUrl, ctx, progress) {
+  const { site, transport, rateLimiter, seenIds } = ctx;
+  const { body: firstHtml, data: firstState, cached } = await fetchPage(baseUrl, transport, { parse: extractInitialState });
+  if (!cached) ctx.counts.pageRequests++;
+  await notify(ctx.onFirstResponse, { url: baseUrl, body: firstHtml });
+
+  if (!firstState || !Array.isArray(firstState.results)) {
+    if (looksLikeBlockPage(firstHtml)) {
+      rateLimiter?.penalize();
+      await notify(ctx.onErrorResponse, { url: baseUrl, body: firstHtml, error: "Access blocked (rate limited)" });
+      throw new Error("Access blocked by Mercado Livre \u2014 your IP is rate limited. Try again later, or avoid using --no-rate-limit.");
+    }
+    await notify(ctx.onErrorResponse, { url: baseUrl, body: firstHtml, error: "Could not extract search results" });
+    throw new Error("Could not extract search results. The page structure may have changed.");
+  }
+
+  progress.firstState = firstState;
+  progress.pagesFetched = 1;
+  let pageState = firstState;
+  let pageStart = pageStartOf(baseUrl);
+  while (true) {
+    const bestSellerIds = extractBestSellerIds(pageState);
+    const pageItems = [];
+    for (const [index, result] of pageState.results.entries()) {
+      const item = parsePolycard(result, { bestSellerIds, site });
+      if (!item || (item.id && seenIds.has(item.id))) continue;
+      if (item.id) seenIds.add(item.id);
+      progress.positions.set(item, pageStart + index);
+      pageItems.push(item);
+    }
+    progress.consumedEnd = pageStart + pageState.results.length;
+    progress.nextPageUrl = pageState.pagination?.next_page?.show ? pageState.pagination.next_page.url : null;
+    log("SEARCH", `page ${progress.pagesFetched} parsed: ${pageState.results.length} results -> ${pageItems.length} new items, total=${firstState.pagination?.results_limit ?? "?"}`);
+    if (pageItems.length === 0 && progress.pagesFetched > 1) return;
+    yield pageItems;
+
+    if (!progress.nextPageUrl || progress.pagesFetched >= MAX_PAGES) return;
+    pageStart = pageStartOf(progress.nextPageUrl);
+    const page = await fetchPage(progress.nextPageUrl, transport, { parse: extractInitialState });
+    if (!page.cached) ctx.counts.pageRequests++;
+    pageState = page.data;
+    if (!pageState || !Array.isArray(pageState.results) || pageState.results.length === 0) {
+      if (looksLikeBlockPage(page.body)) rateLimiter?.penalize();
+      return;
+    }
+    progress.pagesFetched++;
+  }
+}
+
+/**
+ * Reads the detail fields of a listing page, or returns `null` for a block
+ * page that yielded none of them.
+ *
+ * @param {string} html - Detail page HTML.
+ * @returns {object|null} The {@link extractDetailFromHtml} fields.
+ */
+function parseDetailPage(html) {
+  const detail = extractDetailFromHtml(html);
+  return !detail.description && !detail.pictures && !detail.attributes && looksLikeBlockPage(html) ? null : detail;
+}
+
+/**
+ * Fetches an item's detail page and merges the extracted fields into it.
+ * When the run asks for reviews, the first `ctx.reviews` reviews are attached
+ * as `item.reviews` (`null` if they could not be fetched).
+ * Errors are logged and reported through `onErrorResponse`, never thrown.
+ *
+ * @param {object} item - Parsed item with a `permalink`; mutated in place.
+ * @param {object} ctx - Search context from {@link createSearchContext}.
+ * @returns {Promise<boolean>} `true` if the item was enriched.
+ */
+async function enrichItem(item, ctx) {
+  try {
+    log("DETAIL", `${item.permalink}`);
+    const { body: html, data, cached } = await fetchPage(item.permalink, ctx.transport, { kind: "detail", parse: parseDetailPage });
+    if (!cached) ctx.counts.detailRequests++;
+    if (!data) ctx.rateLimiter?.penalize();
+    const detail = data ?? extractDetailFromHtml(html);
+    Object.assign(item, detail, { shippingInfo: mergeShippingInfo(item.shippingInfo, detail.shippingInfo) });
+    if (ctx.reviews > 0 && item.id) {
+      try {
+        item.reviews = (await fetchReviews(item.id, ctx, ctx.reviews)).reviews;
+      } catch (err) {
+        if (ctx.transport.signal?.aborted) throw err;
+        log("REVIEWS", `  -> error for ${item.id}: ${err.message}`);
+        item.reviews = null;
+      }
+    }
+    return true;
+  } catch (err) {
+    if (ctx.transport.signal?.aborted) return false;
+    log("DETAIL", `  -> error: ${err.message}`);
+    await notify(ctx.onErrorResponse, { url: item.permalink, body: null, error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Builds the per-run transport settings shared by every request of a
+ * `search()`/`searchRaw()` call.
+ *
+ * @param {object} options - Options passed to the public entry point.
+ * @returns {{timeout: number, fetcher: Function, cache: object|null, retries: number, retryMaxDelay: number, signal: AbortSignal|null, stats: object}}
+ */
+function createTransport({ timeout = DEFAULT_TIMEOUT, fetcher = nlcurlFetcher, cache = null, retries = DEFAULT_RETRIES, retryMaxDelay = DEFAULT_RETRY_MAX_DELAY, rateLimiter = null, signal = null }) {
+  return { timeout, fetcher, cache, retries, retryMaxDelay, rateLimiter, signal, stats: { cacheHits: 0, cacheMisses: 0, retries: 0 } };
+}
+
+/**
+ * Creates a semaphore that lets at most `concurrency` async tasks run at once.
+ *
+ * @param {number} concurrency - Max tasks in flight.
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>} Runs a task when a slot is free.
+ */
+function createSemaphore(concurrency) {
+  let active = 0;
+  const waiting = [];
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+  return async (task) => {
+    if (active >= concurrency) await new Promise((r) => waiting.push(r));
+    else active++;
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+/**
+ * Creates a push-based async event queue bridging a producer and an
+ * async-iterator consumer. Buffered events are delivered before a failure.
+ *
+ * @returns {{push: Function, end: Function, fail: Function, close: Function, closed: boolean}}
+ */
+function createChannel() {
+  const buffer = [];
+  let wake = null;
+  let done = false;
+  let error = null;
+  let closed = false;
+  const notifyConsumer = () => {
+    if (wake) {
+      const w = wake;
+      wake = null;
+      w();
+    }
+  };
+  return {
+    get closed() {
+      return closed;
+    },
+    push(event) {
+      if (closed) return;
+      buffer.push(event);
+      notifyConsumer();
+    },
+    end() {
+      done = true;
+      notifyConsumer();
+    },
+    fail(err) {
+      error = err;
+      done = true;
+      notifyConsumer();
+    },
+    close() {
+      closed = true;
+    },
+    async *[Symbol.asyncIterator]() {
+      while (true) {
+        if (buffer.length > 0) {
+          yield buffer.shift();
+          continue;
+        }
+        if (error) throw error;
+        if (done) return;
+        await new Promise((r) => (wake = r));
+      }
+    },
+  };
+}
+
+/**
+ * Fetches a page body through the configured fetcher and turns non-2xx
+ * responses into errors, then runs `parse` on it. When a cache is
+ * configured, a fresh cached body is returned without a request, and a
+ * fetched body is stored only once `parse` accepted it, so block pages and
+ * pages that could not be read are never cached. A cached body `parse`
+ * rejects is fetched again.
+ *
+ * Timeouts, transient network errors, 429 and transient 5xx responses are
+ * retried with jittered exponential backoff, waiting for `Retry-After` when the
+ * server sends one. A `Retry-After` longer than `retryMaxDelay` is not waited
+ * out: the request fails immediately. Every network attempt first takes a
+ * token and an in-flight slot from the shared rate limiter, which is slowed
+ * down on 429/503; the slot is released as soon as the attempt settles.
+ *
+ * An aborted `transport.signal` rejects the call with the signal's reason,
+ * whether it is waiting for the limiter, a backoff or the fetcher itself.
  *
  * @param {string} url - Target URL.
- * @param {number} timeout - Request timeout in milliseconds.
- * @returns {Promise<string>} Response body.
- */
-async function fetchPage(url, timeout) {
-  log("HTTP", `nlcurl -> ${url} (timeout: ${timeout}ms)`);
-  const res = await get(url, {
-    impersonate: "chrome136",
-    stealth: true,
-    timeout: { connect: 5000, response: timeout },
-    followRedirects: true,
-  });
-  log("HTTP", `nlcurl <- ${res.status} ${res.statusText} (${res.rawBody.length} bytes)`);
-  if (!res.ok) {
-    const retryAfter = res.headers["retry-after"];
-    const retryMsg = retryAfter ? ` — retry after ${retryAfter}s` : "";
-    throw new Error(`HTTP ${res.status} ${res.statusText}${retryMsg}`);
+ * @param {object} transport - Per-run transport settings from {@link createTransport}.
+ * @param {object} [options={}]
+ * @param {'listing'|'detail'} [options.kind='listing'] - Page kind, selects the cache TTL.
+ * @param {(body: string) => *} [options.parse] - Reads the body; a `null` result means the page is unusable. Defaults to accepting any body.
+ * @returns {Promise<{body: string, data: *, cached: boolean}>} The body, what `parse` returned, and whether the body came from the cache (no request was made).
+ */
+async function fetchPage(url, transport, { kind = "listing", parse = (body) => body } = {}) {
+  const { timeout, fetcher, cache, retries, retryMaxDelay, rateLimiter, signal, stats } = transport;
+  signal?.throwIfAborted();
+  if (cache) {
+    const cached = await cache.get(url, kind);
+    const data = cached ? parse(cached.body) : null;
+    if (data != null) {
+      stats.cacheHits++;
+      log("CACHE", `hit ${url}`);
+      return { body: cached.body, data, cached: true };
+    }
+    if (cached) log("CACHE", `unusable cached page for ${url}, fetching it again`);
+    stats.cacheMisses++;
+  }
+
+  let res;
+  for (let attempt = 0; ; attempt++) {
+    let delay;
+    if (rateLimiter) await rateLimiter.acquire(signal);
+    try {
+      signal?.throwIfAborted();
+      res = normalizeResponse(await abortable(fetcher(url, { timeout, signal }), signal), url);
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      if (attempt >= retries || !isRetryableError(err)) throw err;
+      delay = backoffDelay(attempt, retryMaxDelay);
+      log("HTTP", `retry ${attempt + 1}/${retries} for ${url} in ${delay}ms (${err.message})`);
+    } finally {
+      rateLimiter?.release();
+    }
+
+    if (res && (res.status < 200 || res.status >= 300)) {
+      const retryAfter = parseRetryAfter(res.headers["retry-after"]);
+      if (res.status === 429 || res.status === 503) rateLimiter?.penalize(retryAfter);
+      if (attempt >= retries || !isRetryableStatus(res.status) || (retryAfter != null && retryAfter > retryMaxDelay)) {
+        const retryMsg = res.headers["retry-after"] ? ` — retry after ${res.headers["retry-after"]}s` : "";
+        throw Object.assign(new Error(`HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ""}${retryMsg}`), { status: res.status });
+      }
+      delay = retryAfter ?? backoffDelay(attempt, retryMaxDelay);
+      log("HTTP", `retry ${attempt + 1}/${retries} for ${url} in ${delay}ms (HTTP ${res.status})`);
+      res = null;
+    }
+
+    if (res) break;
+    stats.retries++;
+    await sleep(delay, signal);
   }
-  return res.text();
+  rateLimiter?.reward();
+
+  const data = parse(res.body);
+  if (cache && data != null) {
+    try {
+      await cache.set(url, kind, res);
+    } catch (err) {
+      log("CACHE", `write failed for ${url}: ${err.message}`);
+    }
+  }
+  return { body: res.body, data, cached: false };
+}
+
+/**
+ * Settles with `promise`, or rejects with the signal's reason as soon as the
+ * signal aborts, for fetchers that do not honour the signal themselves.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal|null} signal
+ * @returns {Promise<T>}
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      (err) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(err);
+      },
+    );
+  });
 }
 
 /**
@@ -492,13 +1400,14 @@ export function extractInitialState(html) {
 }
 
 /**
- * Extracts listing details (description, pictures, attributes) from a Mercado
- * Livre detail page by parsing the server-rendered HTML.
+ * Extracts listing details (description, pictures, attributes, variations,
+ * shipping, seller reputation) from a Mercado Livre detail page by parsing
+ * the server-rendered HTML.
  *
  * @param {string} html - Raw HTML of the detail page.
  * @returns {object|null} Extracted detail fields, or null if parsing fails.
  */
-function extractDetailFromHtml(html) {
+export function extractDetailFromHtml(html) {
   let description = null;
   {
     const descRe = /class="ui-pdp-description__content"[^>]*>([\s\S]*?)<\/p>/;
@@ -571,7 +1480,11 @@ function extractDetailFromHtml(html) {
     if (dateMatch) date = dateMatch[1];
   }
 
-  log("DETAIL", `  -> ok (pictures=${pictures?.length ?? 0}, desc=${!!description}, rating=${!!rating}, attrs=${attributes?.length ?? 0}, loc=${!!location}, date=${!!date})`);
+  const variations = extractVariations(html);
+  const shippingInfo = extractShippingFromHtml(html);
+  const sellerReputation = extractSellerReputation(html);
+
+  log("DETAIL", `  -> ok (pictures=${pictures?.length ?? 0}, desc=${!!description}, rating=${!!rating}, attrs=${attributes?.length ?? 0}, loc=${!!location}, date=${!!date}, variations=${variations?.length ?? 0}, full=${!!shippingInfo?.full}, reputation=${sellerReputation?.level ?? "-"})`);
   return {
     pictures,
     description,
@@ -579,76 +1492,355 @@ function extractDetailFromHtml(html) {
     attributes,
     location,
     date,
+    variations,
+    shippingInfo,
+    sellerReputation,
   };
 }
 
 /**
- * Normalises a string for fuzzy matching: lowercases, strips accents and
- * collapses whitespace.
+ * Reads the seller box of a product page: the reputation thermometer level
+ * (`"5_green"`), the MercadoLíder status and the completed sales, from the
+ * embedded state or, failing that, the box's labels.
  *
- * @param {string} str - Input string.
- * @returns {string} Normalised string.
+ * @param {string} html - Raw HTML of the detail page.
+ * @returns {{level: string|null, powerSeller: string|null, sales: number|null}|null} `null` when the page shows no seller reputation at all.
  */
-function normalize(str) {
-  return str
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^\w\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+function extractSellerReputation(html) {
+  const state = html.match(/"seller_reputation"\s*:\s*\{[\s\S]{0,1000}/)?.[0];
+  const box = html
+    .match(/class="ui-seller-data[^"]*"[\s\S]{0,4000}/)?.[0]
+    ?.replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ");
+  if (!state && !box) return null;
+
+  const level = state?.match(/"level_id"\s*:\s*"(\d_[a-z_]+)"/)?.[1] ?? null;
+  const powerSeller = (state?.match(/"power_seller_status"\s*:\s*"([a-z]+)"/)?.[1] ?? box?.match(/MercadoL[ií]der\s+(Platinum|Gold)/i)?.[1] ?? (box && /MercadoL[ií]der/i.test(box) ? "silver" : null))?.toLowerCase() ?? null;
+  const completed = state?.match(/"completed"\s*:\s*(\d+)/)?.[1];
+  const salesLabel = box?.match(/\+?\s*([\d.,]+\s*(?:mil)?)\s+(?:vendas|ventas)/i)?.[1];
+  return { level, powerSeller, sales: completed != null ? Number(completed) : salesLabel ? parseCountLabel(salesLabel) : null };
 }
 
-/** Words too common to be meaningful query filters. */
-const STOP_WORDS = new Set(["de", "da", "do", "das", "dos", "e", "ou", "em", "com", "para", "por", "um", "uma", "o", "a", "os", "as", "no", "na", "nos", "nas", "the", "and", "or", "for", "in", "of", "to", "with"]);
-
 /**
- * Splits and normalises a search query into significant tokens, filtering out
- * stop-words and single-character terms.
+ * Extracts the variations of a product page. The embedded item data lists
+ * every attribute combination (`attribute_combinations`) with its own price,
+ * available quantity and picture IDs. When the page only carries the
+ * variation pickers, each picker option becomes one entry with its single
+ * attribute and picture, without price or quantity.
  *
- * @param {string} query - Raw query string.
- * @returns {string[]} Array of normalised, meaningful tokens.
+ * @param {string} html - Raw HTML of the product page.
+ * @returns {{id: string|null, attributes: {id: string|null, name: string, value: string}[], price: number|null, availableQuantity: number|null, pictureIds: string[]}[]|null}
+ *   `null` when the listing has no variations.
  */
-function getQueryTokens(query) {
-  return normalize(query)
-    .split(" ")
-    .filter((t) => t.length > 1 && !STOP_WORDS.has(t));
+function extractVariations(html) {
+  for (const m of html.matchAll(/"variations"\s*:\s*(?=[[{])/g)) {
+    const value = readJsonValue(html, m.index + m[0].length);
+    if (Array.isArray(value) && value.some((v) => Array.isArray(v?.attribute_combinations))) {
+      const out = value
+        .filter((v) => Array.isArray(v?.attribute_combinations) && v.attribute_combinations.length > 0)
+        .map((v) => {
+          const price = typeof v.price === "object" && v.price !== null ? (v.price.value ?? v.price.amount) : v.price;
+          return {
+            id: v.id != null ? String(v.id) : null,
+            attributes: v.attribute_combinations.map((a) => ({ id: a.id ?? null, name: a.name ?? a.id ?? "", value: a.value_name ?? a.value ?? "" })),
+            price: price != null && Number.isFinite(Number(price)) ? Math.round(Number(price) * 100) / 100 : null,
+            availableQuantity: Number.isInteger(v.available_quantity) ? v.available_quantity : null,
+            pictureIds: Array.isArray(v.picture_ids) ? v.picture_ids.map(String) : [],
+          };
+        });
+      if (out.length > 0) return out;
+    }
+    if (value && !Array.isArray(value) && Array.isArray(value.pickers)) {
+      const out = [];
+      for (const picker of value.pickers) {
+        const name = String(picker.label?.text ?? picker.id ?? "").replace(/:\s*$/, "");
+        for (const option of picker.products ?? []) {
+          const optionValue = option.label?.text;
+          if (!optionValue) continue;
+          out.push({ id: option.id != null ? String(option.id) : null, attributes: [{ id: picker.id ?? null, name, value: optionValue }], price: null, availableQuantity: null, pictureIds: option.picture?.id ? [String(option.picture.id)] : [] });
+        }
+      }
+      if (out.length > 0) return out;
+    }
+  }
+  return null;
 }
 
 /**
- * Tests whether an item's text corpus (title, description, attributes) contains
- * every token in the list.
+ * Parses the JSON object or array starting at `start`, scanning for its
+ * closing bracket while skipping string contents.
  *
- * @param {object} item - Normalised item object.
- * @param {string[]} tokens - Significant query tokens.
- * @returns {boolean} `true` if all tokens are found.
- */
-function matchesTokens(item, tokens) {
-  if (tokens.length === 0) return true;
-
-  let corpus = normalize(item.title || "");
-  if (item.description) corpus += " " + normalize(item.description);
-  if (item.attributes) {
-    for (const section of item.attributes) {
-      for (const attr of section.attributes || []) {
-        corpus += " " + normalize(attr.value || "");
+ * @param {string} text - Text containing the JSON value.
+ * @param {number} start - Index of the opening `{` or `[`.
+ * @returns {*} The parsed value, or `undefined` if it is unterminated or malformed.
+ */
+function readJsonValue(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      depth++;
+    } else if (ch === "}" || ch === "]") {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch {
+          return undefined;
+        }
       }
     }
   }
+  return undefined;
+}
+
+/**
+ * Builds a search-shaped item from a product page: title, price, seller and
+ * images come from the page's JSON-LD `Product` block and meta tags, and the
+ * detail fields from {@link extractDetailFromHtml} are merged in.
+ *
+ * @param {string} html - Raw HTML of the product page.
+ * @param {object} [options={}] - Parsing options.
+ * @param {string|null} [options.url=null] - URL the page was fetched from; fallback permalink.
+ * @param {string|null} [options.id=null] - Known item ID; otherwise read from the canonical URL.
+ * @param {object} [options.site] - Resolved site definition; defaults to MLB.
+ * @returns {object|null} Item object, or `null` if the page has no recognisable title.
+ */
+export function extractItemFromHtml(html, { url = null, id = null, site = resolveSite() } = {}) {
+  const product = readJsonLd(html, "Product");
+  const offer = Array.isArray(product?.offers) ? product.offers[0] : product?.offers;
+
+  const title = decodeEntities(product?.name || html.match(/class="ui-pdp-title"[^>]*>([^<]+)</)?.[1] || metaContent(html, "og:title") || "").trim();
+  if (!title) return null;
+
+  const permalink = html.match(/<link[^>]+rel="canonical"[^>]+href="([^"]+)"/)?.[1] || url;
+  const idMatch = (permalink || "").match(ITEM_ID_RE);
+
+  const rawPrice = Number(offer?.price ?? offer?.lowPrice ?? metaContent(html, "price"));
+  const price = Number.isFinite(rawPrice) ? Math.round(rawPrice * 100) / 100 : null;
+  const originalPrice = extractPreviousPrice(html);
+  const discountPercent = originalPrice && price != null && originalPrice > price ? Math.round(((originalPrice - price) / originalPrice) * 100) : null;
+
+  const image = Array.isArray(product?.image) ? product.image[0] : product?.image;
+
+  const item = {
+    id: id || (idMatch ? `${idMatch[1].toUpperCase()}${idMatch[2]}` : null),
+    title,
+    price,
+    currency: offer?.priceCurrency || metaContent(html, "priceCurrency") || site.currency,
+    originalPrice,
+    discountPercent,
+    installments: null,
+    freeShipping: null,
+    shipping: null,
+    shippingInfo: null,
+    seller: offer?.seller?.name || null,
+    bestSeller: false,
+    highlight: null,
+    promotions: null,
+    thumbnail: image || metaContent(html, "og:image") || null,
+    permalink,
+    categoryId: html.match(/"category_id"\s*:\s*"(M[A-Z]{2}\d+)"/)?.[1] || null,
+    catalogProductId: html.match(/"catalog_product_id"\s*:\s*"(M[A-Z]{2}\d+)"/)?.[1] || null,
+    international: null,
+    isAd: false,
+    rating: null,
+  };
+  return Object.assign(item, extractDetailFromHtml(html));
+}
+
+/**
+ * Parses a seller profile page. Structured values embedded in the page's
+ * state JSON are preferred; the visible labels ("+10mil vendas",
+ * "5 anos vendendo", "MercadoLíder Platinum", "Loja oficial") are the fallback.
+ *
+ * @param {string} html - Raw HTML of the profile page.
+ * @param {object} [options={}] - Parsing options.
+ * @param {string|null} [options.url=null] - URL the page was fetched from; fallback permalink.
+ * @returns {object|null} Seller profile, or `null` if the page has no nickname.
+ */
+export function extractSellerFromHtml(html, { url = null } = {}) {
+  const nickname = decodeEntities(html.match(/"nickname"\s*:\s*"([^"]+)"/)?.[1] || metaContent(html, "og:title") || "").trim();
+  if (!nickname) return null;
+
+  const text = html.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ");
+
+  const level = html.match(/"level_id"\s*:\s*"(\d_[a-z_]+)"/)?.[1] ?? null;
+  const powerSeller = (html.match(/"power_seller_status"\s*:\s*"([a-z]+)"/)?.[1] ?? text.match(/MercadoL[ií]der\s+(Platinum|Gold)/i)?.[1] ?? (/MercadoL[ií]der/i.test(text) ? "silver" : null))?.toLowerCase() ?? null;
+
+  const completed = html.match(/"transactions"\s*:\s*\{[^}]*?"completed"\s*:\s*(\d+)/)?.[1];
+  const salesLabel = text.match(/\+?\s*([\d.,]+\s*(?:mil)?)\s+(?:vendas|ventas)/i)?.[1];
+  const sales = completed != null ? Number(completed) : salesLabel ? parseCountLabel(salesLabel) : null;
+
+  const since = html.match(/"registration_date"\s*:\s*"([^"]+)"/)?.[1] ?? null;
+  const yearsLabel = text.match(/(\d+)\s+(?:anos|años)\s+(?:vendendo|vendiendo)/i)?.[1];
+  let yearsOnPlatform = yearsLabel ? Number(yearsLabel) : null;
+  if (yearsOnPlatform == null && since && !Number.isNaN(Date.parse(since))) {
+    yearsOnPlatform = Math.floor((Date.now() - Date.parse(since)) / (365.25 * 24 * 60 * 60 * 1000));
+  }
+
+  const city = html.match(/"address"\s*:\s*\{[^}]*?"city"\s*:\s*"([^"]+)"/)?.[1];
+  const state = html.match(/"address"\s*:\s*\{[^}]*?"state"\s*:\s*"([^"]+)"/)?.[1];
+  const location = city ? [city, state].filter(Boolean).join(", ") : (html.match(/ui-seller-info__status-info__subtitle[^>]*>([^<]+)</)?.[1]?.trim() ?? null);
+
+  const officialStore = /"official_store_id"\s*:\s*\d+/.test(html) || /\b(?:Loja|Tienda) oficial\b/i.test(text);
+
+  log("SELLER", `  -> ok (${nickname}, level=${level}, sales=${sales}, years=${yearsOnPlatform}, official=${officialStore})`);
+  return {
+    id: html.match(/"(?:seller_id|user_id)"\s*:\s*"?(\d+)/)?.[1] ?? null,
+    nickname,
+    permalink: html.match(/<link[^>]+rel="canonical"[^>]+href="([^"]+)"/)?.[1] || url,
+    reputation: { level, powerSeller },
+    sales,
+    yearsOnPlatform,
+    since,
+    location,
+    officialStore,
+  };
+}
+
+/**
+ * Parses one page of the reviews endpoint. The endpoint answers with JSON; an
+ * HTML page embedding the same data as `initialState` is accepted too.
+ *
+ * @param {string} body - Response body.
+ * @returns {{total: number|null, average: number|null, histogram: Object<string, number>|null, reviews: object[]}|null} `null` if no reviews list is found.
+ */
+export function parseReviewsPage(body) {
+  let data = null;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    data = extractInitialState(body);
+  }
+  const list = data?.reviews ?? data?.components?.reviews ?? null;
+  if (!Array.isArray(list)) return null;
+
+  const reviews = list.map((r) => {
+    const text = r.comment?.content?.text ?? r.content ?? r.text ?? null;
+    return {
+      id: r.id != null ? String(r.id) : null,
+      rating: Number(r.rating ?? r.comment?.rating) || null,
+      title: r.title?.text ?? (typeof r.title === "string" ? r.title : null),
+      text: typeof text === "string" ? text.trim() || null : null,
+      date: r.comment?.time ?? r.date_created ?? r.date ?? null,
+      helpful: Number(r.valorization ?? r.likes ?? r.reactions?.likes ?? r.helpful ?? 0) || 0,
+    };
+  });
+
+  const stats = data.stats ?? data.rating ?? data;
+  let histogram = null;
+  const levels = stats.rating_levels ?? data.rating_levels;
+  if (levels && typeof levels === "object") {
+    const names = { one_star: 1, two_star: 2, three_star: 3, four_star: 4, five_star: 5 };
+    histogram = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    for (const [key, value] of Array.isArray(levels) ? levels.map((l) => [l.value ?? l.rating, l.count ?? l.total]) : Object.entries(levels)) {
+      const stars = names[key] ?? Number(key);
+      if (stars >= 1 && stars <= 5) histogram[stars] = Number(value) || 0;
+    }
+  }
 
-  return tokens.every((token) => corpus.includes(token));
+  const total = Number(stats.total ?? data.paging?.total ?? stats.rating_count) || null;
+  const average = Number(stats.rating_average ?? stats.average) || null;
+  return { total, average, histogram, reviews };
+}
+
+/**
+ * Parses a rounded count label such as "+10mil", "5 mil" or "1.234".
+ *
+ * @param {string} label
+ * @returns {number|null}
+ */
+function parseCountLabel(label) {
+  const m = label.match(/([\d.,]+)\s*(mil)?/i);
+  if (!m) return null;
+  const n = m[2] ? Number(m[1].replace(",", ".")) * 1000 : Number(m[1].replace(/\D/g, ""));
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+/**
+ * Returns the first JSON-LD block of the given `@type` embedded in a page.
+ *
+ * @param {string} html - Raw HTML.
+ * @param {string} type - Schema.org type, e.g. "Product".
+ * @returns {object|null}
+ */
+function readJsonLd(html, type) {
+  const re = /<script[^>]+type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/g;
+  let m;
+  while ((m = re.exec(html))) {
+    let data;
+    try {
+      data = JSON.parse(m[1]);
+    } catch {
+      continue;
+    }
+    for (const node of [data, ...(Array.isArray(data?.["@graph"]) ? data["@graph"] : [])].flat()) {
+      if (node?.["@type"] === type) return node;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the `content` of a `<meta>` tag by its `property`, `name` or `itemprop`.
+ *
+ * @param {string} html - Raw HTML.
+ * @param {string} key - Attribute value to look for, e.g. "og:image".
+ * @returns {string|null}
+ */
+function metaContent(html, key) {
+  for (const tag of html.match(/<meta\b[^>]*>/g) || []) {
+    const name = tag.match(/\b(?:property|name|itemprop)="([^"]+)"/)?.[1];
+    if (name !== key) continue;
+    const content = tag.match(/\bcontent="([^"]*)"/)?.[1];
+    if (content != null) return decodeEntities(content);
+  }
+  return null;
+}
+
+/**
+ * Reads the struck-through "previous" price shown next to a discounted price.
+ *
+ * @param {string} html - Raw HTML of the product page.
+ * @returns {number|null}
+ */
+function extractPreviousPrice(html) {
+  const block = html.match(/<s\b[^>]*andes-money-amount--previous[\s\S]*?<\/s>/)?.[0];
+  const fraction = block?.match(/andes-money-amount__fraction[^>]*>([\d.,]+)</)?.[1];
+  if (!fraction) return null;
+  const cents = block.match(/andes-money-amount__cents[^>]*>(\d+)</)?.[1];
+  const value = Number(fraction.replace(/\D/g, "")) + (cents ? Number(cents) / 100 : 0);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Decodes the handful of HTML entities found in titles and meta tags.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeEntities(str) {
+  return str.replace(/&(amp|quot|#39|lt|gt);/g, (_, e) => ({ amp: "&", quot: '"', "#39": "'", lt: "<", gt: ">" })[e]);
 }
 
 /**
- * Convenience wrapper: tests whether an item matches all significant terms
- * in the search query string.
+ * Local safety net for the URL price range: items without a price, or priced
+ * outside the range, are dropped.
  *
  * @param {object} item - Normalised item object.
- * @param {string} query - Raw query string.
- * @returns {boolean} `true` if the item matches all query terms.
+ * @param {{min: number|null, max: number|null}} range - Range from {@link resolvePriceRange}.
+ * @returns {boolean} `true` if the item's price is within the range.
  */
-function matchesQuery(item, query) {
-  return matchesTokens(item, getQueryTokens(query));
+function matchesPriceRange(item, { min, max }) {
+  if (item.price == null) return false;
+  return (min == null || item.price >= min) && (max == null || item.price <= max);
 }
 
 /**
@@ -677,9 +1869,10 @@ function extractPrice(priceObj) {
  * @param {object} result - A raw result entry from `state.results`.
  * @param {object} [options={}] - Parsing options.
  * @param {Set<string>} [options.bestSellerIds=new Set()] - Best-seller item IDs from melidata.
+ * @param {object} [options.site] - Resolved site definition; defaults to MLB.
  * @returns {object|null} Normalised item object, or `null` if the entry should be skipped.
  */
-function parsePolycard(result, { bestSellerIds = new Set() } = {}) {
+export function parsePolycard(result, { bestSellerIds = new Set(), site = resolveSite() } = {}) {
   const pc = result?.polycard;
   if (!pc) return null;
 
@@ -696,7 +1889,7 @@ function parsePolycard(result, { bestSellerIds = new Set() } = {}) {
 
   const priceComp = comp("price").price || {};
   const price = extractPrice(priceComp.current_price);
-  const currency = priceComp.current_price?.currency || "BRL";
+  const currency = priceComp.current_price?.currency || site.currency;
   const originalPrice = priceComp.previous_price?.value != null ? extractPrice(priceComp.previous_price) : null;
 
   let discountPercent = null;
@@ -723,6 +1916,7 @@ function parsePolycard(result, { bestSellerIds = new Set() } = {}) {
   const shippingComp = comp("shipping").shipping || {};
   const shippingText = shippingComp.text || "";
   const freeShipping = /gr[aá]tis/i.test(shippingText);
+  const shippingInfo = parseShippingComponents(comps);
 
   const sellerRaw = comp("seller").seller?.text || "";
   const seller = sellerRaw.replace(/\s*\{[^}]+\}\s*/g, "").trim() || null;
@@ -745,8 +1939,8 @@ function parsePolycard(result, { bestSellerIds = new Set() } = {}) {
   if (rawUrl && !isAd) {
     permalink = rawUrl.startsWith("http") ? rawUrl : `https://${rawUrl}`;
   } else if (meta.id) {
-    const numId = meta.id.replace(/^MLB/, "");
-    permalink = `https://produto.mercadolivre.com.br/MLB-${numId}`;
+    const numId = meta.id.replace(/^[A-Z]{3}/, "");
+    permalink = `https://${site.productDomain}/${site.id}-${numId}`;
   }
 
   const picId = pc.pictures?.pictures?.[0]?.id || "";
@@ -772,6 +1966,7 @@ function parsePolycard(result, { bestSellerIds = new Set() } = {}) {
     installments: installmentText,
     freeShipping,
     shipping: shippingText || null,
+    shippingInfo,
     seller,
     bestSeller,
     highlight,
@@ -779,6 +1974,8 @@ function parsePolycard(result, { bestSellerIds = new Set() } = {}) {
     thumbnail,
     permalink,
     categoryId: meta.category_id || null,
+    catalogProductId: meta.product_id || null,
+    international: shippingInfo.international,
     isAd,
     rating: ratingAverage ? { average: ratingAverage, sales: ratingSales } : null,
     pictures: null,
@@ -786,5 +1983,7 @@ function parsePolycard(result, { bestSellerIds = new Set() } = {}) {
     attributes: null,
     location: null,
     date: null,
+    variations: null,
+    sellerReputation: null,
   };
 }
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Adaptive token-bucket rate limiter.
+ * One limiter is shared by every request of a run (search pages, detail pages
+ * and every state of a multi-state search). It halves its rate when the site
+ * pushes back (429s, block pages) and slowly climbs back to the configured
+ * rate after a run of successful requests. It also caps the number of
+ * requests in flight, so slow responses cannot pile up connections while
+ * tokens keep being handed out.
+ * @module ratelimit
+ */
+
+import { setTimeout as delay } from "node:timers/promises";
+import { log } from "./logger.js";
+
+/** Default sustained rate in requests per second. */
+export const DEFAULT_RATE = 3;
+
+/** Default cap on requests in flight at the same time. */
+const RATE_LIMIT_CONCURRENCY = 3;
+
+/** Successful requests needed before the rate is raised again after a slowdown. */
+const RECOVERY_STEP = 10;
+
+/** @param {number} ms @param {AbortSignal} [signal] - Rejects with the signal's reason when aborted. @returns {Promise<void>} */
+const sleep = (ms, signal) =>
+  delay(ms, undefined, signal ? { signal } : undefined).catch((err) => {
+    throw signal?.aborted ? signal.reason : err;
+  });
+
+/**
+ * Creates a token-bucket rate limiter.
+ *
+ * @param {object} [options={}] - Limiter options.
+ * @param {number} [options.rate=3] - Sustained requests per second.
+ * @param {number} [options.burst] - Bucket capacity; defaults to `max(1, rate)`.
+ * @param {number} [options.minRate] - Floor for adaptive slowdowns; defaults to `rate / 16`.
+ * @param {number} [options.maxInFlight=3] - Requests allowed in flight at once; each {@link acquire} holds a slot until {@link release}.
+ * @returns {{acquire: (signal?: AbortSignal) => Promise<void>, release: () => void, penalize: (retryAfterMs?: number|null) => void, reward: () => void, currentRate: () => number}}
+ * @throws {Error} If `rate` or `maxInFlight` is not positive.
+ */
+export function createRateLimiter({ rate = DEFAULT_RATE, burst, minRate, maxInFlight = RATE_LIMIT_CONCURRENCY } = {}) {
+  if (!(rate > 0)) throw new Error(`Invalid rate "${rate}". It must be a positive number of requests per second.`);
+  if (!(Number.isInteger(maxInFlight) && maxInFlight > 0)) throw new Error(`Invalid maxInFlight "${maxInFlight}". It must be a positive integer.`);
+  const capacity = burst ?? Math.max(1, rate);
+  const floor = minRate ?? rate / 16;
+  let current = rate;
+  let tokens = capacity;
+  let last = Date.now();
+  let pausedUntil = 0;
+  let successes = 0;
+  let queue = Promise.resolve();
+  let inFlight = 0;
+  let wake = null;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * current);
+    last = now;
+  };
+
+  // Only the caller at the head of the queue waits here, so one wake-up callback is enough.
+  const waitForSlot = async (signal) => {
+    while (inFlight >= maxInFlight) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          wake = null;
+          reject(signal.reason);
+        };
+        wake = () => {
+          signal?.removeEventListener("abort", onAbort);
+          wake = null;
+          resolve();
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+      });
+    }
+  };
+
+  const take = async (signal) => {
+    signal?.throwIfAborted();
+    await waitForSlot(signal);
+    const pause = pausedUntil - Date.now();
+    if (pause > 0) await sleep(pause, signal);
+    refill();
+    if (tokens < 1) {
+      await sleep(((1 - tokens) / current) * 1000, signal);
+      refill();
+    }
+    tokens -= 1;
+    inFlight++;
+  };
+
+  return {
+    /**
+     * Waits until a request may be sent: a slot is free and a token is
+     * available. Callers are served in FIFO order. An aborted caller gives up
+     * its place without consuming a token or a slot. Every resolved call must
+     * be paired with {@link release} once the request has settled.
+     *
+     * @param {AbortSignal} [signal] - Rejects the wait with the signal's reason when aborted.
+     * @returns {Promise<void>}
+     */
+    acquire(signal) {
+      const turn = queue.then(() => take(signal));
+      queue = turn.catch(() => {});
+      return turn;
+    },
+
+    /** Frees the slot taken by {@link acquire} once its request has settled. */
+    release() {
+      if (inFlight > 0) inFlight--;
+      wake?.();
+    },
+
+    /**
+     * Halves the rate after a throttling signal and drains the bucket. When the
+     * server said how long to back off, no request is released before then.
+     *
+     * @param {number|null} [retryAfterMs] - Server-requested pause in milliseconds.
+     */
+    penalize(retryAfterMs = null) {
+      current = Math.max(floor, current / 2);
+      tokens = Math.min(tokens, 0);
+      successes = 0;
+      if (retryAfterMs) pausedUntil = Math.max(pausedUntil, Date.now() + retryAfterMs);
+      log("RATE", `slowing down to ${current.toFixed(2)} req/s${retryAfterMs ? ` (paused ${retryAfterMs}ms)` : ""}`);
+    },
+
+    /** Records a successful request; raises the rate again after a streak. */
+    reward() {
+      if (current >= rate) return;
+      if (++successes < RECOVERY_STEP) return;
+      successes = 0;
+      current = Math.min(rate, current * 1.5);
+      log("RATE", `speeding up to ${current.toFixed(2)} req/s`);
+    },
+
+    /** @returns {number} Current requests-per-second rate. */
+    currentRate() {
+      return current;
+    },
+  };
+}
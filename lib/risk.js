@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Heuristic risk scoring for search results.
+ * Each item gets a `risk` object built from independent signals: a price far
+ * below the rest of the result set, a seller without reputation, a recently
+ * published listing, no pictures, a description that asks for contact outside
+ * the platform, and international origin. Signals add up to a 0–100 score.
+ * @module risk
+ */
+
+import { normalize } from "./text.js";
+
+/** Score from which a listing is `medium` and `high` risk. */
+export const RISK_LEVELS = { medium: 25, high: 50 };
+
+/** Minimum number of priced items for the price signals to be meaningful. */
+const MIN_COHORT = 5;
+
+/** Listings published less than this many days ago count as new. */
+const NEW_LISTING_DAYS = 30;
+
+/** Phrases (normalised) asking buyers to continue outside the platform. */
+const OFF_PLATFORM_RE = /\b(whats ?app|whats|wpp|zap|telegram|instagram|insta|gmail|hotmail|pix direto|chama no|me chame|fale comigo|llamame|escribime|contato direto|contacto directo)\b|\b\d{2} ?9? ?\d{4} ?\d{4}\b/;
+
+/**
+ * Scores every item in place, setting `item.risk` to
+ * `{score, level, signals: {code, weight, detail}[]}`. Price signals compare
+ * each item with the median and interquartile range of the whole list, so
+ * score the full result set at once.
+ *
+ * @param {object[]} items - Search result items; mutated.
+ * @param {object} [options={}]
+ * @param {Date} [options.now=new Date()] - Reference time for the new-listing signal.
+ * @returns {object[]} The same items.
+ */
+export function assessRisk(items, { now = new Date() } = {}) {
+  const prices = items
+    .map((i) => i.price)
+    .filter((p) => typeof p === "number" && p > 0)
+    .sort((a, b) => a - b);
+  const quantile = (q) => {
+    const pos = (prices.length - 1) * q;
+    const lo = Math.floor(pos);
+    return prices[lo] + (prices[Math.min(lo + 1, prices.length - 1)] - prices[lo]) * (pos - lo);
+  };
+  const cohort = prices.length >= MIN_COHORT ? { median: quantile(0.5), q1: quantile(0.25), q3: quantile(0.75) } : null;
+
+  for (const item of items) {
+    const signals = [];
+    const add = (code, weight, detail) => signals.push({ code, weight, detail });
+
+    if (cohort && typeof item.price === "number" && item.price > 0) {
+      const below = Math.round((1 - item.price / cohort.median) * 100);
+      const fence = cohort.q1 - 1.5 * (cohort.q3 - cohort.q1);
+      if (below >= 70) add("price_outlier", 45, `${below}% below the median price`);
+      else if (item.price < fence) add("price_outlier", 30, `${below}% below the median price, under the typical range`);
+    }
+    const reputation = item.sellerReputation;
+    if (reputation && !reputation.level && !reputation.powerSeller && !(reputation.sales > 0)) add("no_seller_rating", 10, "seller has no reputation or completed sales yet");
+    const published = item.date ? Date.parse(item.date) : NaN;
+    if (!Number.isNaN(published)) {
+      const days = Math.floor((now.getTime() - published) / 86400000);
+      if (days >= 0 && days < NEW_LISTING_DAYS) add("new_listing", 15, `published ${days} day${days === 1 ? "" : "s"} ago`);
+    }
+    const detailRead = item.description != null || item.attributes != null;
+    if (detailRead && !(item.pictures?.length > 0)) add("no_pictures", 15, "no pictures on the listing page");
+    const contact = item.description ? normalize(item.description).match(OFF_PLATFORM_RE) : null;
+    if (contact) add("off_platform_contact", 35, `description asks for contact outside the platform ("${contact[0]}")`);
+    if (item.international) add("international", 10, "ships from abroad");
+
+    const score = Math.min(
+      100,
+      signals.reduce((sum, s) => sum + s.weight, 0),
+    );
+    item.risk = { score, level: score >= RISK_LEVELS.high ? "high" : score >= RISK_LEVELS.medium ? "medium" : "low", signals };
+  }
+  return items;
+}
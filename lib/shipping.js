@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Structured shipping details.
+ * Listing cards and detail pages describe shipping in display text: "Chegará
+ * grátis amanhã", "Enviado pelo FULL", "Compra Internacional", "Enviado dos
+ * Estados Unidos". This module reads those texts and icons into a
+ * `shippingInfo` object: free shipping, Mercado Envios Full fulfilment,
+ * same-day delivery, origin, and the delivery estimate in days.
+ * @module shipping
+ */
+
+import { normalize } from "./text.js";
+
+/** Texts that announce a delivery date ("Chegará amanhã", "Llega el viernes", "Receba até 5 de nov"). */
+const DELIVERY_RE = /\b(chega|chegara|receba|recebe|llega|llegara|recibe|recibelo|entrega|arrives?)\b/;
+
+/** Free shipping in Portuguese and Spanish ("Frete grátis", "Envío gratis", "Chegará grátis"). */
+const FREE_RE = /gr[aá]tis/i;
+
+/** Labels of an imported listing ("Compra Internacional", "Envío del exterior"); a bare "internacional" may be part of the product name. */
+const INTERNATIONAL_RE = /compra internacional|do exterior|del exterior/i;
+
+/** Card components that describe shipping or the origin of the listing, the only ones read for the import labels. */
+const ORIGIN_COMPONENTS = new Set(["shipping", "shipped_from", "highlight", "label"]);
+
+/** Same-day wording, besides a "today" delivery date. */
+const SAME_DAY_RE = /\b(mesmo dia|mismo dia|same day)\b/;
+
+/** Origin of an international listing: "Enviado dos Estados Unidos", "Enviado desde China". */
+const ORIGIN_RE = /\b(?:enviado|envio|envi[oó]|ships?)\s+(?:desde|from|da|do|de|dos|das)\s+([A-Za-zÀ-ÿ][A-Za-zÀ-ÿ .]*[A-Za-zÀ-ÿ])/i;
+
+/** Icon IDs or class names that mark Mercado Envios Full. */
+const FULL_RE = /"(?:id|icon|key)"\s*:\s*"[^"]*full[^"]*"|\bfulfillment\b/i;
+
+/** Weekday names (normalised) and their `Date#getDay()` index. */
+const WEEKDAYS = { domingo: 0, segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6, lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5 };
+
+/** Month abbreviations (normalised, first three letters) and their month index. */
+const MONTHS = { jan: 0, ene: 0, fev: 1, feb: 1, mar: 2, abr: 3, mai: 4, may: 4, jun: 5, jul: 6, ago: 7, set: 8, sep: 8, out: 9, oct: 9, nov: 10, dez: 11, dic: 11 };
+
+/**
+ * Builds `shippingInfo` from the components of a listing card (polycard).
+ * Placeholders such as `{icon_full}` are resolved from the component values,
+ * so icons count as well as text.
+ *
+ * @param {object[]} components - `polycard.components`.
+ * @param {object} [options={}]
+ * @param {Date} [options.now=new Date()] - Reference date for the delivery estimate.
+ * @returns {{free: boolean, full: boolean, sameDay: boolean, international: boolean, origin: string|null, delivery: {text: string, minDays: number|null, maxDays: number|null}|null}}
+ */
+export function parseShippingComponents(components, { now = new Date() } = {}) {
+  const texts = [];
+  let full = false;
+  for (const c of components ?? []) {
+    const body = c?.[c?.type];
+    if (!body) continue;
+    if (c.type === "shipping" || c.type === "shipped_from" || c.type.includes("fulfillment")) {
+      if (FULL_RE.test(JSON.stringify(c))) full = true;
+      const text = componentText(body);
+      if (text) texts.push(text);
+    }
+  }
+  const international = (components ?? []).some((c) => ORIGIN_COMPONENTS.has(c?.type) && INTERNATIONAL_RE.test(JSON.stringify(c[c.type] ?? "")));
+  return buildInfo(texts, { full, international, now });
+}
+
+/**
+ * Builds `shippingInfo` from a detail page: the Full badge or the
+ * `fulfillment` logistic type, the delivery line of the shipping box, and
+ * the "Compra Internacional" label with its origin.
+ *
+ * @param {string} html - Raw HTML of the detail page.
+ * @param {object} [options={}]
+ * @param {Date} [options.now=new Date()] - Reference date for the delivery estimate.
+ * @returns {object|null} Same shape as {@link parseShippingComponents}, or `null` when the page shows no shipping box.
+ */
+export function extractShippingFromHtml(html, { now = new Date() } = {}) {
+  const texts = [];
+  for (const m of html.matchAll(/class="ui-pdp-media__title[^"]*"[^>]*>([\s\S]*?)<\/(?:p|h2|div)>/g)) {
+    const text = m[1]
+      .replace(/<[^>]+>/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (text) texts.push(text);
+  }
+  const origin = html.match(/>\s*((?:Enviado|Envío|Envio) (?:desde|da|do|de|dos|das) [^<]+?)\s*</)?.[1];
+  if (origin) texts.push(origin);
+  const full = /"logistic_type"\s*:\s*"fulfillment"/.test(html) || /ui-pdp-icon--full|"id"\s*:\s*"(?:icon_)?full(?:_icon)?"/i.test(html);
+  const international = /compra internacional/i.test(html);
+  if (texts.length === 0 && !full && !international) return null;
+  return buildInfo(texts, { full, international, now });
+}
+
+/**
+ * Turns the `fullOnly` and `maxDeliveryDays` search options into `--where`
+ * expressions on `shippingInfo`.
+ *
+ * @param {{fullOnly?: boolean, maxDeliveryDays?: number}} options
+ * @returns {string[]}
+ */
+export function shippingConditions({ fullOnly = false, maxDeliveryDays } = {}) {
+  const where = [];
+  if (fullOnly) where.push("shippingInfo.full=true");
+  if (maxDeliveryDays != null) where.push(`shippingInfo.delivery.maxDays<=${maxDeliveryDays}`);
+  return where;
+}
+
+/**
+ * Combines the card's `shippingInfo` with the detail page's: flags are set
+ * when either source sets them, and the detail page's origin and delivery
+ * estimate win whenever it shows them, the card's filling in otherwise.
+ *
+ * @param {object|null} card - From {@link parseShippingComponents}.
+ * @param {object|null} detail - From {@link extractShippingFromHtml}.
+ * @returns {object|null}
+ */
+export function mergeShippingInfo(card, detail) {
+  if (!card || !detail) return card ?? detail ?? null;
+  return {
+    free: card.free || detail.free,
+    full: card.full || detail.full,
+    sameDay: card.sameDay || detail.sameDay,
+    international: card.international || detail.international,
+    origin: detail.origin ?? card.origin,
+    delivery: detail.delivery?.maxDays != null || !card.delivery ? detail.delivery : card.delivery,
+  };
+}
+
+/**
+ * Parses a delivery text into a range of days from `now`: "hoje"/"hoy" is 0,
+ * "amanhã"/"mañana" 1, a weekday the next one, "3 de novembro" or
+ * "entre 3 e 5 de nov" that date (next year once it has passed), and
+ * "em 2 dias"/"3 a 5 días" the days given.
+ *
+ * @param {string} text - Delivery text.
+ * @param {Date} [now=new Date()] - Reference date.
+ * @returns {{minDays: number, maxDays: number}|null} `null` when the text has no recognisable date.
+ */
+export function parseDeliveryDays(text, now = new Date()) {
+  const t = normalize(text);
+  const range = (min, max = min) => ({ minDays: Math.min(min, max), maxDays: Math.max(min, max) });
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysUntil = (month, day) => {
+    let target = new Date(today.getFullYear(), month, day);
+    if (target < today) target = new Date(today.getFullYear() + 1, month, day);
+    return Math.round((target - today) / 86400000);
+  };
+
+  let m = t.match(/\b(\d{1,2})(?:\s*(?:e|a|y|al)\s*(\d{1,2}))?\s+de\s+([a-z]{3})[a-z]*/);
+  if (m && m[3] in MONTHS) return range(daysUntil(MONTHS[m[3]], Number(m[1])), daysUntil(MONTHS[m[3]], Number(m[2] ?? m[1])));
+  m = String(text).match(/\b(\d{1,2})\/(\d{1,2})\b/);
+  if (m && Number(m[2]) >= 1 && Number(m[2]) <= 12) return range(daysUntil(Number(m[2]) - 1, Number(m[1])));
+  m = t.match(/\b(\d{1,2})(?:\s*(?:e|a|y|-)\s*(\d{1,2}))?\s+dias?\b/);
+  if (m) return range(Number(m[1]), Number(m[2] ?? m[1]));
+  if (/\b(depois de amanha|pasado manana)\b/.test(t)) return range(2);
+  if (/\b(amanha|manana|tomorrow)\b/.test(t)) return range(1);
+  if (/\b(hoje|hoy|today)\b/.test(t)) return range(0);
+  m = t.match(/\b(domingo|segunda|terca|quarta|quinta|sexta|sabado|lunes|martes|miercoles|jueves|viernes)\b/);
+  if (m) return range((WEEKDAYS[m[1]] - today.getDay() + 7) % 7 || 7);
+  return null;
+}
+
+/**
+ * Derives the `shippingInfo` fields from the collected shipping texts.
+ *
+ * @param {string[]} texts - Shipping texts with placeholders resolved.
+ * @param {{full: boolean, international: boolean, now: Date}} flags
+ * @returns {object}
+ */
+function buildInfo(texts, { full, international, now }) {
+  const deliveryText = texts.find((t) => DELIVERY_RE.test(normalize(t))) ?? null;
+  const days = deliveryText ? parseDeliveryDays(deliveryText, now) : null;
+  const origin = international ? (texts.map((t) => t.match(ORIGIN_RE)?.[1]).find((o) => o && !/^(o )?exterior$/i.test(o)) ?? null) : null;
+  return {
+    free: texts.some((t) => FREE_RE.test(t)),
+    full: full || texts.some((t) => /\bfull\b/i.test(t)),
+    sameDay: days?.maxDays === 0 || texts.some((t) => SAME_DAY_RE.test(normalize(t))),
+    international,
+    origin,
+    delivery: deliveryText ? { text: deliveryText, minDays: days?.minDays ?? null, maxDays: days?.maxDays ?? null } : null,
+  };
+}
+
+/**
+ * Returns a component's text with `{key}` placeholders replaced by the text
+ * of their values; icons and other non-text values are dropped.
+ *
+ * @param {{text?: string, values?: object[]}} body - The typed body of a polycard component.
+ * @returns {string}
+ */
+function componentText(body) {
+  let text = body.text || "";
+  for (const v of body.values || []) {
+    text = text.replace(`{${v.key}}`, v.label?.text ?? v.text ?? "");
+  }
+  return text
+    .replace(/\{[^}]+\}/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
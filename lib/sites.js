@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Per-country Mercado Libre site definitions.
+ * Each site carries its listing and product domains, the URL suffixes used to
+ * build search URLs, its category table, its region list and its currency.
+ * @module sites
+ */
+
+/** Site used when no `site` option is given. */
+export const DEFAULT_SITE = "MLB";
+
+/**
+ * Known MLB categories with their URL path segments and display names.
+ * Used for validation and URL construction when filtering by category.
+ *
+ * @type {Map<string, {path: string, name: string}>}
+ */
+const MLB_CATEGORIES = new Map([
+  ["MLB3813", { path: "celulares-telefones/acessorios-celulares", name: "Acessórios para Celulares" }],
+  ["MLB5672", { path: "acessorios-veiculos", name: "Acessórios para Veículos" }],
+  ["MLB2818", { path: "mais-categorias/adultos", name: "Adultos" }],
+  ["MLB271599", { path: "agro", name: "Agro" }],
+  ["MLB1403", { path: "alimentos-bebidas", name: "Alimentos e Bebidas" }],
+  ["MLB1368", { path: "arte-papelaria-armarinho", name: "Arte, Papelaria e Armarinho" }],
+  ["MLB1613", { path: "casa-moveis-decoracao/banheiros", name: "Banheiros" }],
+  ["MLB1384", { path: "bebes", name: "Bebês" }],
+  ["MLB1246", { path: "beleza-cuidado-pessoal", name: "Beleza e Cuidado Pessoal" }],
+  ["MLB1132", { path: "brinquedos-hobbies", name: "Brinquedos e Hobbies" }],
+  ["MLB1430", { path: "calcados-roupas-bolsas", name: "Calçados, Roupas e Bolsas" }],
+  ["MLB438928", { path: "casa-moveis-decoracao/camas-colchoes-acessorios", name: "Camas, Colchões e Acessórios" }],
+  ["MLB1574", { path: "casa-moveis-decoracao", name: "Casa, Móveis e Decoração" }],
+  ["MLB11466", { path: "livros-revistas-comics/catalogos", name: "Catálogos" }],
+  ["MLB1055", { path: "celulares-telefones/celulares-smartphones", name: "Celulares e Smartphones" }],
+  ["MLB1500", { path: "construcao", name: "Construção" }],
+  ["MLB1618", { path: "casa-moveis-decoracao/cozinha", name: "Cozinha" }],
+  ["MLB264051", { path: "casa-moveis-decoracao/cuidado-casa-lavanderia", name: "Cuidado da Casa e Lavanderia" }],
+  ["MLB1039", { path: "cameras-acessorios", name: "Câmeras e Acessórios" }],
+  ["MLB5726", { path: "eletrodomesticos", name: "Eletrodomésticos" }],
+  ["MLB1000", { path: "eletronicos-audio-video", name: "Eletrônicos, Áudio e Vídeo" }],
+  ["MLB1631", { path: "casa-moveis-decoracao/enfeites-decoracao-casa", name: "Enfeites e Decoração da Casa" }],
+  ["MLB1276", { path: "esportes-fitness", name: "Esportes e Fitness" }],
+  ["MLB263532", { path: "ferramentas", name: "Ferramentas" }],
+  ["MLB12404", { path: "festas-lembrancinhas", name: "Festas e Lembrancinhas" }],
+  ["MLB1144", { path: "games", name: "Games" }],
+  ["MLB1582", { path: "casa-moveis-decoracao/iluminacao-residencial", name: "Iluminação Residencial" }],
+  ["MLB1499", { path: "industria-comercio", name: "Indústria e Comércio" }],
+  ["MLB1648", { path: "informatica", name: "Informática" }],
+  ["MLB1182", { path: "instrumentos-musicais", name: "Instrumentos Musicais" }],
+  ["MLB1621", { path: "casa-moveis-decoracao/jardim-ar-livre", name: "Jardim e Ar Livre" }],
+  ["MLB3937", { path: "joias-relogios", name: "Joias e Relógios" }],
+  ["MLB437616", { path: "livros-revistas-comics/livros-fisicos", name: "Livros Físicos" }],
+  ["MLB436380", { path: "casa-moveis-decoracao/moveis-casa", name: "Móveis para Casa" }],
+  ["MLB1168", { path: "musica-filmes-seriados", name: "Música, Filmes e Seriados" }],
+  ["MLB7462", { path: "celulares-telefones/pecas-celular", name: "Peças para Celular" }],
+  ["MLB1071", { path: "pet-shop", name: "Pet Shop" }],
+  ["MLB2908", { path: "celulares-telefones/radio-comunicadores", name: "Rádio Comunicadores" }],
+  ["MLB264586", { path: "saude", name: "Saúde" }],
+  ["MLB7069", { path: "casa-moveis-decoracao/seguranca-casa", name: "Segurança para Casa" }],
+  ["MLB417704", { path: "celulares-telefones/smartwatches-acessorios", name: "Smartwatches e Acessórios" }],
+  ["MLB436246", { path: "casa-moveis-decoracao/texteis-casa-decoracao", name: "Têxteis de Casa e Decoração" }],
+]);
+
+/** Top-level Argentina (MLA) categories. @type {Map<string, {path: string, name: string}>} */
+const MLA_CATEGORIES = new Map([
+  ["MLA5725", { path: "accesorios-vehiculos", name: "Accesorios para Vehículos" }],
+  ["MLA1403", { path: "alimentos-bebidas", name: "Alimentos y Bebidas" }],
+  ["MLA1071", { path: "animales-mascotas", name: "Animales y Mascotas" }],
+  ["MLA1384", { path: "bebes", name: "Bebés" }],
+  ["MLA1246", { path: "belleza-cuidado-personal", name: "Belleza y Cuidado Personal" }],
+  ["MLA1039", { path: "camaras-accesorios", name: "Cámaras y Accesorios" }],
+  ["MLA1051", { path: "celulares-telefonos", name: "Celulares y Teléfonos" }],
+  ["MLA1648", { path: "computacion", name: "Computación" }],
+  ["MLA1144", { path: "consolas-videojuegos", name: "Consolas y Videojuegos" }],
+  ["MLA1500", { path: "construccion", name: "Construcción" }],
+  ["MLA1276", { path: "deportes-fitness", name: "Deportes y Fitness" }],
+  ["MLA5726", { path: "electrodomesticos-aires-ac", name: "Electrodomésticos y Aires Ac." }],
+  ["MLA1000", { path: "electronica-audio-video", name: "Electrónica, Audio y Video" }],
+  ["MLA407134", { path: "herramientas", name: "Herramientas" }],
+  ["MLA1574", { path: "hogar-muebles-jardin", name: "Hogar, Muebles y Jardín" }],
+  ["MLA1499", { path: "industrias-oficinas", name: "Industrias y Oficinas" }],
+  ["MLA1182", { path: "instrumentos-musicales", name: "Instrumentos Musicales" }],
+  ["MLA3937", { path: "joyas-relojes", name: "Joyas y Relojes" }],
+  ["MLA1132", { path: "juegos-juguetes", name: "Juegos y Juguetes" }],
+  ["MLA3025", { path: "libros-revistas-comics", name: "Libros, Revistas y Comics" }],
+  ["MLA1168", { path: "musica-peliculas-series", name: "Música, Películas y Series" }],
+  ["MLA1430", { path: "ropa-accesorios", name: "Ropa y Accesorios" }],
+  ["MLA409431", { path: "salud-equipamiento-medico", name: "Salud y Equipamiento Médico" }],
+]);
+
+/** Top-level México (MLM) categories. @type {Map<string, {path: string, name: string}>} */
+const MLM_CATEGORIES = new Map([
+  ["MLM1747", { path: "accesorios-vehiculos", name: "Accesorios para Vehículos" }],
+  ["MLM189530", { path: "alimentos-bebidas", name: "Alimentos y Bebidas" }],
+  ["MLM1071", { path: "animales-mascotas", name: "Animales y Mascotas" }],
+  ["MLM1384", { path: "bebes", name: "Bebés" }],
+  ["MLM1246", { path: "belleza-cuidado-personal", name: "Belleza y Cuidado Personal" }],
+  ["MLM1039", { path: "camaras-accesorios", name: "Cámaras y Accesorios" }],
+  ["MLM1051", { path: "celulares-telefonia", name: "Celulares y Telefonía" }],
+  ["MLM1648", { path: "computacion", name: "Computación" }],
+  ["MLM1144", { path: "consolas-videojuegos", name: "Consolas y Videojuegos" }],
+  ["MLM1500", { path: "construccion", name: "Construcción" }],
+  ["MLM1276", { path: "deportes-fitness", name: "Deportes y Fitness" }],
+  ["MLM1575", { path: "electrodomesticos", name: "Electrodomésticos" }],
+  ["MLM1000", { path: "electronica-audio-video", name: "Electrónica, Audio y Video" }],
+  ["MLM186863", { path: "herramientas", name: "Herramientas" }],
+  ["MLM1574", { path: "hogar-muebles-jardin", name: "Hogar, Muebles y Jardín" }],
+  ["MLM1499", { path: "industrias-oficinas", name: "Industrias y Oficinas" }],
+  ["MLM1182", { path: "instrumentos-musicales", name: "Instrumentos Musicales" }],
+  ["MLM3937", { path: "joyas-relojes", name: "Joyas y Relojes" }],
+  ["MLM1132", { path: "juegos-juguetes", name: "Juegos y Juguetes" }],
+  ["MLM3025", { path: "libros-revistas-comics", name: "Libros, Revistas y Comics" }],
+  ["MLM1168", { path: "musica-peliculas-series", name: "Música, Películas y Series" }],
+  ["MLM1430", { path: "ropa-bolsas-calzado", name: "Ropa, Bolsas y Calzado" }],
+  ["MLM187772", { path: "salud-equipamiento-medico", name: "Salud y Equipamiento Médico" }],
+]);
+
+/** Top-level Chile (MLC) categories. @type {Map<string, {path: string, name: string}>} */
+const MLC_CATEGORIES = new Map([
+  ["MLC1747", { path: "accesorios-vehiculos", name: "Accesorios para Vehículos" }],
+  ["MLC1403", { path: "alimentos-bebidas", name: "Alimentos y Bebidas" }],
+  ["MLC1071", { path: "animales-mascotas", name: "Animales y Mascotas" }],
+  ["MLC1384", { path: "bebes", name: "Bebés" }],
+  ["MLC1246", { path: "belleza-cuidado-personal", name: "Belleza y Cuidado Personal" }],
+  ["MLC1039", { path: "camaras-accesorios", name: "Cámaras y Accesorios" }],
+  ["MLC1051", { path: "celulares-telefonia", name: "Celulares y Telefonía" }],
+  ["MLC1648", { path: "computacion", name: "Computación" }],
+  ["MLC1144", { path: "consolas-videojuegos", name: "Consolas y Videojuegos" }],
+  ["MLC1500", { path: "construccion", name: "Construcción" }],
+  ["MLC1276", { path: "deportes-fitness", name: "Deportes y Fitness" }],
+  ["MLC5726", { path: "electrodomesticos", name: "Electrodomésticos" }],
+  ["MLC1000", { path: "electronica-audio-video", name: "Electrónica, Audio y Video" }],
+  ["MLC1574", { path: "hogar-muebles-jardin", name: "Hogar, Muebles y Jardín" }],
+  ["MLC1499", { path: "industrias-oficinas", name: "Industrias y Oficinas" }],
+  ["MLC1182", { path: "instrumentos-musicales", name: "Instrumentos Musicales" }],
+  ["MLC3937", { path: "joyas-relojes", name: "Joyas y Relojes" }],
+  ["MLC1132", { path: "juegos-juguetes", name: "Juegos y Juguetes" }],
+  ["MLC3025", { path: "libros-revistas-comics", name: "Libros, Revistas y Comics" }],
+  ["MLC1168", { path: "musica-peliculas-series", name: "Música, Películas y Series" }],
+  ["MLC1430", { path: "vestuario-calzado", name: "Vestuario y Calzado" }],
+]);
+
+/** Top-level Colombia (MCO) categories. @type {Map<string, {path: string, name: string}>} */
+const MCO_CATEGORIES = new Map([
+  ["MCO1747", { path: "accesorios-vehiculos", name: "Accesorios para Vehículos" }],
+  ["MCO1403", { path: "alimentos-bebidas", name: "Alimentos y Bebidas" }],
+  ["MCO1071", { path: "animales-mascotas", name: "Animales y Mascotas" }],
+  ["MCO1384", { path: "bebes", name: "Bebés" }],
+  ["MCO1246", { path: "belleza-cuidado-personal", name: "Belleza y Cuidado Personal" }],
+  ["MCO1039", { path: "camaras-accesorios", name: "Cámaras y Accesorios" }],
+  ["MCO1051", { path: "celulares-telefonos", name: "Celulares y Teléfonos" }],
+  ["MCO1648", { path: "computacion", name: "Computación" }],
+  ["MCO1144", { path: "consolas-videojuegos", name: "Consolas y Videojuegos" }],
+  ["MCO1500", { path: "construccion", name: "Construcción" }],
+  ["MCO1276", { path: "deportes-fitness", name: "Deportes y Fitness" }],
+  ["MCO5726", { path: "electrodomesticos", name: "Electrodomésticos" }],
+  ["MCO1000", { path: "electronica-audio-video", name: "Electrónica, Audio y Video" }],
+  ["MCO1574", { path: "hogar-muebles-jardin", name: "Hogar, Muebles y Jardín" }],
+  ["MCO1499", { path: "industrias-oficinas", name: "Industrias y Oficinas" }],
+  ["MCO1182", { path: "instrumentos-musicales", name: "Instrumentos Musicales" }],
+  ["MCO3937", { path: "joyas-relojes", name: "Joyas y Relojes" }],
+  ["MCO1132", { path: "juegos-juguetes", name: "Juegos y Juguetes" }],
+  ["MCO3025", { path: "libros-revistas-comics", name: "Libros, Revistas y Comics" }],
+  ["MCO1168", { path: "musica-peliculas-series", name: "Música, Películas y Series" }],
+  ["MCO1430", { path: "ropa-accesorios", name: "Ropa y Accesorios" }],
+]);
+
+/** Top-level Uruguay (MLU) categories. @type {Map<string, {path: string, name: string}>} */
+const MLU_CATEGORIES = new Map([
+  ["MLU1747", { path: "accesorios-vehiculos", name: "Accesorios para Vehículos" }],
+  ["MLU1071", { path: "animales-mascotas", name: "Animales y Mascotas" }],
+  ["MLU1384", { path: "bebes", name: "Bebés" }],
+  ["MLU1246", { path: "belleza-cuidado-personal", name: "Belleza y Cuidado Personal" }],
+  ["MLU1039", { path: "camaras-accesorios", name: "Cámaras y Accesorios" }],
+  ["MLU1051", { path: "celulares-telefonos", name: "Celulares y Teléfonos" }],
+  ["MLU1648", { path: "computacion", name: "Computación" }],
+  ["MLU1144", { path: "consolas-videojuegos", name: "Consolas y Videojuegos" }],
+  ["MLU1276", { path: "deportes-fitness", name: "Deportes y Fitness" }],
+  ["MLU5726", { path: "electrodomesticos", name: "Electrodomésticos" }],
+  ["MLU1000", { path: "electronica-audio-video", name: "Electrónica, Audio y Video" }],
+  ["MLU1574", { path: "hogar-muebles-jardin", name: "Hogar, Muebles y Jardín" }],
+  ["MLU1499", { path: "industrias-oficinas", name: "Industrias y Oficinas" }],
+  ["MLU1182", { path: "instrumentos-musicales", name: "Instrumentos Musicales" }],
+  ["MLU3937", { path: "joyas-relojes", name: "Joyas y Relojes" }],
+  ["MLU1132", { path: "juegos-juguetes", name: "Juegos y Juguetes" }],
+  ["MLU3025", { path: "libros-revistas-comics", name: "Libros, Revistas y Comics" }],
+  ["MLU1168", { path: "musica-peliculas-series", name: "Música, Películas y Series" }],
+  ["MLU1430", { path: "ropa-accesorios", name: "Ropa y Accesorios" }],
+]);
+
+/** Top-level Perú (MPE) categories. @type {Map<string, {path: string, name: string}>} */
+const MPE_CATEGORIES = new Map([
+  ["MPE1747", { path: "accesorios-vehiculos", name: "Accesorios para Vehículos" }],
+  ["MPE1071", { path: "animales-mascotas", name: "Animales y Mascotas" }],
+  ["MPE1384", { path: "bebes", name: "Bebés" }],
+  ["MPE1246", { path: "belleza-cuidado-personal", name: "Belleza y Cuidado Personal" }],
+  ["MPE1039", { path: "camaras-accesorios", name: "Cámaras y Accesorios" }],
+  ["MPE1051", { path: "celulares-telefonos", name: "Celulares y Teléfonos" }],
+  ["MPE1648", { path: "computacion", name: "Computación" }],
+  ["MPE1144", { path: "consolas-videojuegos", name: "Consolas y Videojuegos" }],
+  ["MPE1276", { path: "deportes-fitness", name: "Deportes y Fitness" }],
+  ["MPE5726", { path: "electrodomesticos", name: "Electrodomésticos" }],
+  ["MPE1000", { path: "electronica-audio-video", name: "Electrónica, Audio y Video" }],
+  ["MPE1574", { path: "hogar-muebles-jardin", name: "Hogar, Muebles y Jardín" }],
+  ["MPE1499", { path: "industrias-oficinas", name: "Industrias y Oficinas" }],
+  ["MPE1182", { path: "instrumentos-musicales", name: "Instrumentos Musicales" }],
+  ["MPE3937", { path: "joyas-relojes", name: "Joyas y Relojes" }],
+  ["MPE1132", { path: "juegos-juguetes", name: "Juegos y Juguetes" }],
+  ["MPE3025", { path: "libros-revistas-comics", name: "Libros, Revistas y Comics" }],
+  ["MPE1168", { path: "musica-peliculas-series", name: "Música, Películas y Series" }],
+  ["MPE1430", { path: "ropa-accesorios", name: "Ropa y Accesorios" }],
+]);
+
+/**
+ * Site definitions keyed by site ID.
+ *
+ * - `domain`: listing (search) domain.
+ * - `productDomain`: domain used to build fallback permalinks from an item ID.
+ * - `profileDomain`: domain of the public seller profile pages.
+ * - `homepage`: public home page, used for attribution links.
+ * - `currency` / `locale`: default ISO currency and the locale used to format prices.
+ * - `conditionSuffix`: URL suffixes for the `new`/`used` condition filter.
+ * - `regionLabel`: what the site calls its first-level regions (for error messages).
+ * - `regions`: valid region codes for the `_Estado_` URL segment (lowercased), or `null` when
+ *   the site has no such segment and regions are matched against the location filter of
+ *   the listing page instead.
+ * - `internationalFilter`: URL segment excluding international listings, or `null` when unknown.
+ *
+ * @type {Map<string, object>}
+ */
+const SITES = new Map([
+  [
+    "MLB",
+    {
+      name: "Mercado Livre Brasil",
+      domain: "lista.mercadolivre.com.br",
+      productDomain: "produto.mercadolivre.com.br",
+      profileDomain: "perfil.mercadolivre.com.br",
+      homepage: "https://www.mercadolivre.com.br",
+      currency: "BRL",
+      locale: "pt-BR",
+      conditionSuffix: { new: "_Novo", used: "_Usado" },
+      regionLabel: "Brazilian UF",
+      regions: new Set(["ac", "al", "ap", "am", "ba", "ce", "df", "es", "go", "ma", "mt", "ms", "mg", "pa", "pb", "pr", "pe", "pi", "rj", "rn", "rs", "ro", "rr", "sc", "sp", "se", "to"]),
+      internationalFilter: "_NoIndex_True_SHIPPING*ORIGIN_10215068",
+      categories: MLB_CATEGORIES,
+    },
+  ],
+  [
+    "MLA",
+    {
+      name: "Mercado Libre Argentina",
+      domain: "listado.mercadolibre.com.ar",
+      productDomain: "articulo.mercadolibre.com.ar",
+      profileDomain: "perfil.mercadolibre.com.ar",
+      homepage: "https://www.mercadolibre.com.ar",
+      currency: "ARS",
+      locale: "es-AR",
+      conditionSuffix: { new: "_Nuevo", used: "_Usado" },
+      regionLabel: "Argentine province",
+      regions: null,
+      internationalFilter: null,
+      categories: MLA_CATEGORIES,
+    },
+  ],
+  [
+    "MLM",
+    {
+      name: "Mercado Libre México",
+      domain: "listado.mercadolibre.com.mx",
+      productDomain: "articulo.mercadolibre.com.mx",
+      profileDomain: "perfil.mercadolibre.com.mx",
+      homepage: "https://www.mercadolibre.com.mx",
+      currency: "MXN",
+      locale: "es-MX",
+      conditionSuffix: { new: "_Nuevo", used: "_Usado" },
+      regionLabel: "Mexican state",
+      regions: null,
+      internationalFilter: null,
+      categories: MLM_CATEGORIES,
+    },
+  ],
+  [
+    "MLC",
+    {
+      name: "Mercado Libre Chile",
+      domain: "listado.mercadolibre.cl",
+      productDomain: "articulo.mercadolibre.cl",
+      profileDomain: "perfil.mercadolibre.cl",
+      homepage: "https://www.mercadolibre.cl",
+      currency: "CLP",
+      locale: "es-CL",
+      conditionSuffix: { new: "_Nuevo", used: "_Usado" },
+      regionLabel: "Chilean region",
+      regions: null,
+      internationalFilter: null,
+      categories: MLC_CATEGORIES,
+    },
+  ],
+  [
+    "MCO",
+    {
+      name: "Mercado Libre Colombia",
+      domain: "listado.mercadolibre.com.co",
+      productDomain: "articulo.mercadolibre.com.co",
+      profileDomain: "perfil.mercadolibre.com.co",
+      homepage: "https://www.mercadolibre.com.co",
+      currency: "COP",
+      locale: "es-CO",
+      conditionSuffix: { new: "_Nuevo", used: "_Usado" },
+      regionLabel: "Colombian department",
+      regions: null,
+      internationalFilter: null,
+      categories: MCO_CATEGORIES,
+    },
+  ],
+  [
+    "MLU",
+    {
+      name: "Mercado Libre Uruguay",
+      domain: "listado.mercadolibre.com.uy",
+      productDomain: "articulo.mercadolibre.com.uy",
+      profileDomain: "perfil.mercadolibre.com.uy",
+      homepage: "https://www.mercadolibre.com.uy",
+      currency: "UYU",
+      locale: "es-UY",
+      conditionSuffix: { new: "_Nuevo", used: "_Usado" },
+      regionLabel: "Uruguayan department",
+      regions: null,
+      internationalFilter: null,
+      categories: MLU_CATEGORIES,
+    },
+  ],
+  [
+    "MPE",
+    {
+      name: "Mercado Libre Perú",
+      domain: "listado.mercadolibre.com.pe",
+      productDomain: "articulo.mercadolibre.com.pe",
+      profileDomain: "perfil.mercadolibre.com.pe",
+      homepage: "https://www.mercadolibre.com.pe",
+      currency: "PEN",
+      locale: "es-PE",
+      conditionSuffix: { new: "_Nuevo", used: "_Usado" },
+      regionLabel: "Peruvian region",
+      regions: null,
+      internationalFilter: null,
+      categories: MPE_CATEGORIES,
+    },
+  ],
+]);
+
+/**
+ * Resolves a site ID (case-insensitive) to its definition.
+ *
+ * @param {string} [siteId="MLB"] - Site ID (e.g. "MLB", "mla").
+ * @returns {object} Site definition, including its `id`.
+ * @throws {Error} If the site is not recognised.
+ */
+export function resolveSite(siteId = DEFAULT_SITE) {
+  const id = String(siteId || DEFAULT_SITE).toUpperCase();
+  const site = SITES.get(id);
+  if (!site) {
+    throw new Error(`Unknown site "${siteId}". Supported: ${[...SITES.keys()].join(", ")}`);
+  }
+  return { id, ...site };
+}
+
+/**
+ * Returns the supported sites as an array of `{id, name, domain, homepage, currency, locale}` objects.
+ *
+ * @returns {{id: string, name: string, domain: string, homepage: string, currency: string, locale: string}[]}
+ */
+export function getSites() {
+  return [...SITES.entries()].map(([id, s]) => ({ id, name: s.name, domain: s.domain, homepage: s.homepage, currency: s.currency, locale: s.locale }));
+}
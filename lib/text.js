@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Text normalisation shared by query matching and listing
+ * clustering.
+ * @module text
+ */
+
+/**
+ * Normalises a string for fuzzy matching: lowercases, strips accents and
+ * collapses whitespace.
+ *
+ * @param {string} str - Input string.
+ * @returns {string} Normalised string.
+ */
+export function normalize(str) {
+  return str
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\w\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Words too common to be meaningful query filters. */
+const STOP_WORDS = new Set(["de", "da", "do", "das", "dos", "e", "ou", "em", "com", "para", "por", "um", "uma", "o", "a", "os", "as", "no", "na", "nos", "nas", "the", "and", "or", "for", "in", "of", "to", "with"]);
+
+/**
+ * Splits and normalises a search query into significant tokens, filtering out
+ * stop-words and single-character terms.
+ *
+ * @param {string} query - Raw query string.
+ * @returns {string[]} Array of normalised, meaningful tokens.
+ */
+export function getQueryTokens(query) {
+  return normalize(query)
+    .split(" ")
+    .filter((t) => t.length > 1 && !STOP_WORDS.has(t));
+}
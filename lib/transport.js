@@ -0,0 +1,132 @@
+/**
+ * @fileoverview HTTP transport interface used by the search library.
+ * A fetcher is any function `(url, {timeout, signal}) => Promise<{status, headers, body}>`.
+ * The default fetcher uses NLcURL with Chrome TLS fingerprint impersonation;
+ * callers can pass their own to run against mock servers or canned HTML.
+ * @module transport
+ */
+
+import { createHash } from "node:crypto";
+import { log } from "./logger.js";
+
+/**
+ * @typedef {object} FetchResponse
+ * @property {number} status - HTTP status code.
+ * @property {string} [statusText] - HTTP reason phrase, when known.
+ * @property {Object<string, string>} headers - Response headers (lowercase keys).
+ * @property {string} body - Response body as text.
+ */
+
+/**
+ * @callback Fetcher
+ * @param {string} url - Target URL.
+ * @param {{timeout: number, signal?: AbortSignal}} options - Request options. Fetchers may honour `signal` to cancel the request early.
+ * @returns {Promise<FetchResponse>}
+ */
+
+/**
+ * Default fetcher: NLcURL with Chrome TLS fingerprint impersonation.
+ * NLcURL is imported on the first request, so code that always passes its
+ * own fetcher (tests, replayed cassettes) never loads it.
+ *
+ * @type {Fetcher}
+ */
+export async function nlcurlFetcher(url, { timeout }) {
+  const { get } = await import("nlcurl");
+  log("HTTP", `nlcurl -> ${url} (timeout: ${timeout}ms)`);
+  const res = await get(url, {
+    impersonate: "chrome136",
+    stealth: true,
+    timeout: { connect: 5000, response: timeout },
+    followRedirects: true,
+  });
+  log("HTTP", `nlcurl <- ${res.status} ${res.statusText} (${res.rawBody.length} bytes)`);
+  return { status: res.status, statusText: res.statusText, headers: res.headers || {}, body: res.text() };
+}
+
+/**
+ * Normalises whatever a fetcher returned into a {@link FetchResponse}:
+ * lowercases header names and coerces the body to a string.
+ *
+ * @param {object} res - Raw fetcher result.
+ * @param {string} url - Requested URL (for error messages).
+ * @returns {FetchResponse}
+ * @throws {Error} If the result does not carry a numeric `status`.
+ */
+export function normalizeResponse(res, url) {
+  if (!res || typeof res.status !== "number") {
+    throw new Error(`Fetcher returned an invalid response for ${url} (expected {status, headers, body}).`);
+  }
+  const headers = {};
+  for (const [k, v] of Object.entries(res.headers || {})) headers[k.toLowerCase()] = Array.isArray(v) ? v.join(", ") : String(v);
+  const body = res.body == null ? "" : String(res.body);
+  return { status: res.status, statusText: res.statusText || "", headers, body };
+}
+
+/**
+ * Derives a stable, filesystem-safe key for a URL: a short SHA-1 of the full URL.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function urlKey(url) {
+  return createHash("sha1").update(url).digest("hex").slice(0, 20);
+}
+
+/** HTTP statuses worth retrying: timeouts, throttling and transient server errors. */
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/** Network error codes that indicate a transient failure. */
+const RETRYABLE_CODES = new Set(["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "EPIPE", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH"]);
+
+/**
+ * Returns true if a response status is transient and the request may be retried.
+ *
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(status);
+}
+
+/**
+ * Returns true if an error thrown by a fetcher is a timeout or a transient
+ * network failure, as opposed to a permanent one (bad URL, invalid response…).
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isRetryableError(err) {
+  if (!err) return false;
+  if (typeof err.status === "number") return isRetryableStatus(err.status);
+  if (err.code && RETRYABLE_CODES.has(err.code)) return true;
+  return err.name === "TimeoutError" || /timed?\s*out|timeout|socket hang up/i.test(err.message || "");
+}
+
+/**
+ * Parses a `Retry-After` header value (delta-seconds or HTTP date).
+ *
+ * @param {string|undefined} value
+ * @returns {number|null} Delay in milliseconds, or `null` if absent or unparseable.
+ */
+export function parseRetryAfter(value) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes a jittered exponential backoff delay ("equal jitter"): a random
+ * value between half and all of `base * 2^attempt`, capped at `maxDelay`.
+ *
+ * @param {number} attempt - Zero-based retry attempt.
+ * @param {number} maxDelay - Upper bound in milliseconds.
+ * @param {number} [base=500] - Delay of the first retry in milliseconds.
+ * @returns {number} Delay in milliseconds.
+ */
+export function backoffDelay(attempt, maxDelay, base = 500) {
+  const ceiling = Math.min(maxDelay, base * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Saved watchlist with price-drop alerts.
+ * Each entry watches a search query (with its filters) or a fixed set of
+ * listing IDs, plus target conditions. Running the watchlist evaluates every
+ * entry, delivers alerts for matching items to a webhook and/or a shell
+ * command, and remembers what was alerted so the same item only alerts again
+ * when its price drops further. The watchlist is a small JSON file that is
+ * rewritten after every change.
+ * @module watch
+ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { log } from "./logger.js";
+import { search, getItem } from "./index.js";
+import { compileFilter } from "./filter.js";
+import { shippingConditions } from "./shipping.js";
+
+/** Search filters a query entry may store; everything else is a run option. */
+const FILTER_KEYS = ["site", "condition", "category", "state", "strict", "exclude", "where", "filter", "minPrice", "maxPrice", "fullOnly", "maxDeliveryDays", "limit", "noInternational"];
+
+/** Listing IDs a query entry remembers for `newListings`; the ones seen longest ago are forgotten first. */
+const MAX_KNOWN = 1000;
+
+/**
+ * Returns the default watchlist file: `$XDG_DATA_HOME/ml-search/watchlist.json`,
+ * falling back to `~/.local/share/ml-search/watchlist.json`.
+ *
+ * @returns {string}
+ */
+export function defaultWatchFile() {
+  return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share"), "ml-search", "watchlist.json");
+}
+
+/**
+ * Creates a watchlist bound to a file.
+ *
+ * @param {object} [options={}] - Watchlist options.
+ * @param {string} [options.file] - JSON file; defaults to {@link defaultWatchFile}.
+ * @returns {{file: string, list: Function, add: Function, remove: Function, run: Function}}
+ */
+export function createWatchlist({ file = defaultWatchFile() } = {}) {
+  async function load() {
+    let text;
+    try {
+      text = await fs.readFile(file, "utf-8");
+    } catch {
+      return { entries: [] };
+    }
+    try {
+      const data = JSON.parse(text);
+      return { entries: Array.isArray(data.entries) ? data.entries : [] };
+    } catch {
+      throw new Error(`Watchlist file ${file} is not valid JSON. Fix or delete it.`);
+    }
+  }
+
+  async function save(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2) + "\n", "utf-8");
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Returns all entries, in the order they were added.
+   *
+   * @returns {Promise<object[]>}
+   */
+  async function list() {
+    return (await load()).entries;
+  }
+
+  /**
+   * Validates and stores a new entry.
+   *
+   * @param {object} spec - Entry definition.
+   * @param {string} [spec.query] - Search query to watch.
+   * @param {string[]} [spec.items] - Listing IDs or URLs to watch instead of a query.
+   * @param {object} [spec.filters] - Search filters for a query entry (`site`, `condition`, `category`, `state`, `strict`, `exclude`, `where`, `filter`, `minPrice`, `maxPrice`, `fullOnly`, `maxDeliveryDays`, `limit`, `noInternational`).
+   * @param {number} [spec.below] - Alert when the price is below this value.
+   * @param {number} [spec.minDiscount] - Alert when the discount is at least this percentage.
+   * @param {boolean} [spec.newListings=false] - Alert on listings not returned by earlier runs (query entries only).
+   * @returns {Promise<object>} The stored entry, with its `id`.
+   * @throws {Error} If the entry has no target or no condition, or a value is invalid.
+   */
+  async function add({ query = null, items = null, filters = {}, below, minDiscount, newListings = false }) {
+    const text = query?.trim() || null;
+    const ids = items?.map((i) => String(i).trim()).filter(Boolean) ?? [];
+    if (!text && ids.length === 0) throw new Error("A watch needs a search query or at least one item ID.");
+    if (text && ids.length > 0) throw new Error("A watch takes either a search query or item IDs, not both.");
+    if (below !== undefined && !(Number.isFinite(below) && below > 0)) throw new Error(`Invalid --below "${below}". It must be a positive number.`);
+    if (minDiscount !== undefined && !(Number.isFinite(minDiscount) && minDiscount > 0 && minDiscount <= 100)) throw new Error(`Invalid --min-discount "${minDiscount}". It must be a percentage between 1 and 100.`);
+    if (newListings && !text) throw new Error("The --new-listings condition only applies to query watches.");
+    if (below === undefined && minDiscount === undefined && !newListings) throw new Error("A watch needs at least one condition: --below, --min-discount or --new-listings.");
+
+    const data = await load();
+    const next = data.entries.reduce((max, e) => Math.max(max, Number(e.id) || 0), 0) + 1;
+    const entry = {
+      id: String(next),
+      query: text,
+      items: text ? null : ids,
+      filters: text ? Object.fromEntries(FILTER_KEYS.filter((k) => filters[k] !== undefined && filters[k] !== null && filters[k] !== false).map((k) => [k, filters[k]])) : {},
+      conditions: { below: below ?? null, minDiscount: minDiscount ?? null, newListings: Boolean(newListings) },
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      known: [],
+      alerted: {},
+      pending: {},
+    };
+    data.entries.push(entry);
+    await save(data);
+    log("WATCH", `added watch ${entry.id}: ${describeWatch(entry)}`);
+    return entry;
+  }
+
+  /**
+   * Deletes an entry.
+   *
+   * @param {string} id - Entry ID as shown by `list()`.
+   * @returns {Promise<boolean>} `false` when no entry has that ID.
+   */
+  async function remove(id) {
+    const data = await load();
+    const kept = data.entries.filter((e) => e.id !== String(id));
+    if (kept.length === data.entries.length) return false;
+    await save({ ...data, entries: kept });
+    log("WATCH", `removed watch ${id}`);
+    return true;
+  }
+
+  /**
+   * Evaluates every entry and delivers alerts for matching items.
+   * An item alerts once; it alerts again only when its price falls below
+   * the price of its last alert. Delivery is tracked per channel: when the
+   * webhook or the command fails, the alert is kept pending and the next run
+   * retries it on the failed channel only, as long as the item still alerts
+   * at the same price. On the first run of a `newListings` entry, the current
+   * results become the baseline and do not alert. A listing of an item entry
+   * that cannot be fetched is reported and skipped.
+   *
+   * @param {object} [options={}] - Run options; other keys (fetcher, cache, rate, timeout, signal, …) are passed to `search`/`getItem`.
+   * @param {string} [options.webhook] - URL that receives each alert as a JSON `POST`.
+   * @param {string} [options.command] - Shell command run once per alert, with the alert JSON on stdin.
+   * @param {string} [options.id] - Only run the entry with this ID.
+   * @returns {Promise<{checked: number, alerts: object[], errors: {watch: string, error: string}[]}>}
+   *   `alerts` holds every alert delivered on all channels.
+   */
+  async function run({ webhook = null, command = null, id = null, ...options } = {}) {
+    const data = await load();
+    const entries = id ? data.entries.filter((e) => e.id === String(id)) : data.entries;
+    if (id && entries.length === 0) throw new Error(`No watch with ID "${id}".`);
+    const alerts = [];
+    const errors = [];
+    const channels = [webhook ? "webhook" : null, command ? "command" : null].filter(Boolean);
+
+    for (const entry of entries) {
+      if (options.signal?.aborted) break;
+      let found;
+      try {
+        const fetched = await fetchWatchItems(entry, options);
+        found = fetched.items;
+        for (const failure of fetched.failures) {
+          log("WATCH", `watch ${entry.id}: ${failure.id} failed: ${failure.error}`);
+          errors.push({ watch: entry.id, error: `${failure.id}: ${failure.error}` });
+        }
+      } catch (err) {
+        if (options.signal?.aborted) break;
+        log("WATCH", `watch ${entry.id} failed: ${err.message}`);
+        errors.push({ watch: entry.id, error: err.message });
+        continue;
+      }
+
+      const firstRun = entry.lastRunAt === null;
+      const known = new Set(entry.known);
+      const pending = {};
+      for (const item of found) {
+        const reasons = matchConditions(item, entry.conditions, !firstRun && !known.has(item.id));
+        const last = entry.alerted[item.id];
+        if (!reasons || (last && !(item.price != null && last.price != null && item.price < last.price))) continue;
+        const alert = buildAlert(entry, item, reasons, last?.price ?? null);
+        const earlier = entry.pending?.[item.id];
+        const delivered = earlier && earlier.price === alert.item.price ? earlier.delivered.filter((c) => channels.includes(c)) : [];
+        for (const channel of channels.filter((c) => !delivered.includes(c))) {
+          try {
+            await deliver(alert, channel, { webhook, command, timeout: options.timeout });
+            delivered.push(channel);
+          } catch (err) {
+            log("WATCH", `${channel} delivery failed for ${item.id}: ${err.message}`);
+            errors.push({ watch: entry.id, error: `Alert delivery failed for ${item.id}: ${err.message}` });
+          }
+        }
+        if (delivered.length < channels.length) {
+          pending[item.id] = { price: alert.item.price, delivered };
+          continue;
+        }
+        entry.alerted[item.id] = { price: item.price ?? null, at: alert.at };
+        alerts.push(alert);
+      }
+      entry.pending = pending;
+      if (entry.query) {
+        const seen = found.filter((item) => !pending[item.id]).map((item) => item.id);
+        entry.known = [...new Set([...seen, ...known])].slice(0, MAX_KNOWN);
+      }
+      entry.lastRunAt = new Date().toISOString();
+      log("WATCH", `watch ${entry.id}: ${found.length} items checked`);
+    }
+
+    await save(data);
+    return { checked: entries.length, alerts, errors };
+  }
+
+  return { file, list, add, remove, run };
+}
+
+/**
+ * Returns a one-line description of an entry's target and conditions,
+ * e.g. `"ssd 1tb" (strict) · below 300 · new listings`.
+ *
+ * @param {object} entry - Watchlist entry.
+ * @returns {string}
+ */
+export function describeWatch(entry) {
+  const target = entry.query ? `"${entry.query}"` : entry.items.join(", ");
+  const filters = Object.entries(entry.filters ?? {}).map(([k, v]) => (v === true ? k : `${k}=${v}`));
+  const { below, minDiscount, newListings } = entry.conditions;
+  const conditions = [below != null ? `below ${below}` : null, minDiscount != null ? `discount ≥ ${minDiscount}%` : null, newListings ? "new listings" : null].filter(Boolean);
+  return [target + (filters.length > 0 ? ` (${filters.join(", ")})` : ""), ...conditions].join(" · ");
+}
+
+/**
+ * Fetches the current items of an entry: the search results of a query entry,
+ * or each listing of an item entry. Detail pages are only fetched when the
+ * entry's filters read them. A listing that cannot be fetched is returned
+ * in `failures` instead of failing the whole entry.
+ *
+ * @param {object} entry - Watchlist entry.
+ * @param {object} options - Options forwarded to `search`/`getItem`.
+ * @returns {Promise<{items: object[], failures: {id: string, error: string}[]}>} Items that have an `id`, and the listings that failed.
+ * @throws {Error} If the search fails, or the caller's abort reason.
+ */
+async function fetchWatchItems(entry, options) {
+  if (entry.query) {
+    const { strict = false, ...filters } = entry.filters;
+    const where = [...(Array.isArray(filters.where) ? filters.where : filters.where ? [filters.where] : []), ...shippingConditions(filters)];
+    const { needsDetails } = compileFilter({ query: entry.query, strict, exclude: filters.exclude, where });
+    const result = await search(entry.query, { ...options, ...filters, strict, noDetails: !needsDetails });
+    return { items: result.items.filter((item) => item.id), failures: [] };
+  }
+  const items = [];
+  const failures = [];
+  for (const id of entry.items) {
+    try {
+      items.push(await getItem(id, options));
+    } catch (err) {
+      if (options.signal?.aborted) throw err;
+      failures.push({ id, error: err.message });
+    }
+  }
+  return { items: items.filter((item) => item.id), failures };
+}
+
+/**
+ * Checks an item against an entry's conditions. All set conditions must hold.
+ *
+ * @param {object} item - Search or listing item.
+ * @param {{below: number|null, minDiscount: number|null, newListings: boolean}} conditions
+ * @param {boolean} isNew - Whether earlier runs never returned this item.
+ * @returns {string[]|null} The matched condition names, or `null` when the item does not match.
+ */
+function matchConditions(item, { below, minDiscount, newListings }, isNew) {
+  const reasons = [];
+  if (below != null) {
+    if (!(typeof item.price === "number" && item.price < below)) return null;
+    reasons.push("below");
+  }
+  if (minDiscount != null) {
+    if (!((item.discountPercent ?? 0) >= minDiscount)) return null;
+    reasons.push("discount");
+  }
+  if (newListings) {
+    if (!isNew) return null;
+    reasons.push("new_listing");
+  }
+  return reasons;
+}
+
+/**
+ * Builds the alert payload sent for a matching item.
+ *
+ * @param {object} entry - Watchlist entry.
+ * @param {object} item - Matching item.
+ * @param {string[]} reasons - Matched condition names.
+ * @param {number|null} previousPrice - Price of the item's previous alert.
+ * @returns {{watch: string, description: string, reasons: string[], previousPrice: number|null, item: object, at: string}}
+ */
+function buildAlert(entry, item, reasons, previousPrice) {
+  return {
+    watch: entry.id,
+    description: describeWatch(entry),
+    reasons,
+    previousPrice,
+    item: { id: item.id, title: item.title ?? null, price: item.price ?? null, originalPrice: item.originalPrice ?? null, discountPercent: item.discountPercent ?? null, currency: item.currency ?? null, seller: item.seller ?? null, permalink: item.permalink ?? null },
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Sends one alert to one channel: a JSON `POST` to the webhook, or the
+ * command with the alert on stdin.
+ *
+ * @param {object} alert
+ * @param {'webhook'|'command'} channel
+ * @param {{webhook: string|null, command: string|null, timeout?: number}} targets
+ * @returns {Promise<void>}
+ * @throws {Error} On a non-2xx webhook response or a failing command.
+ */
+async function deliver(alert, channel, { webhook, command, timeout = 15000 }) {
+  const body = JSON.stringify(alert);
+  if (channel === "webhook") {
+    const res = await fetch(webhook, { method: "POST", headers: { "content-type": "application/json" }, body, signal: AbortSignal.timeout(timeout) });
+    if (!res.ok) throw new Error(`webhook responded with HTTP ${res.status}`);
+    return;
+  }
+  await runCommand(command, body);
+}
+
+/**
+ * Runs a shell command with `input` on stdin. Its output goes to stderr so it
+ * cannot interleave with results printed on stdout.
+ *
+ * @param {string} command
+ * @param {string} input
+ * @returns {Promise<void>}
+ */
+function runCommand(command, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: ["pipe", process.stderr, process.stderr] });
+    child.on("error", reject);
+    child.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`command exited with code ${code}`))));
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
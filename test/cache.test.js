@@ -0,0 +1,91 @@
+/**
+ * @fileoverview The response cache inside `search`: only pages that could be
+ * read are stored, and pages served from the cache are reported as cache hits
+ * rather than requests. Listing pages come from the recorded `initialState`.
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { search, createCache } from "../lib/index.js";
+import { readFixture, readJsonFixture } from "./helpers.js";
+
+const listingHtml = `<html><script>{"initialState":${JSON.stringify(readJsonFixture("listing-state.json"))}}</script></html>`;
+const detailHtml = readFixture("detail-shipping.html");
+const blockHtml = "<html><body><h1>Acesso negado</h1></body></html>";
+
+/** Temporary directories to remove once the tests are done. */
+const dirs = [];
+
+after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates a cache in a fresh temporary directory.
+ *
+ * @returns {ReturnType<typeof createCache>}
+ */
+function tempCache() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ml-search-cache-"));
+  dirs.push(dir);
+  return createCache({ dir });
+}
+
+/**
+ * Returns a fetcher answering listing and detail URLs with the current
+ * `pages.listing` / `pages.detail` bodies, and counting the requests it served.
+ *
+ * @param {{listing: string, detail: string}} pages - Bodies to serve; may be changed between runs.
+ * @returns {import("../lib/transport.js").Fetcher & {calls: number}}
+ */
+function pageFetcher(pages) {
+  const fetcher = async (url) => {
+    fetcher.calls++;
+    return { status: 200, headers: { "content-type": "text/html" }, body: url.includes("/MLB-") ? pages.detail : pages.listing };
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+test("search caches a listing page only once it could be read, and counts cached pages as hits", async () => {
+  const cache = tempCache();
+  const pages = { listing: blockHtml, detail: detailHtml };
+  const fetcher = pageFetcher(pages);
+  const options = { fetcher, cache, noRateLimit: true, noDetails: true };
+
+  await assert.rejects(search("ssd nvme 1tb", options), /Access blocked/);
+  assert.equal(fetcher.calls, 1);
+
+  pages.listing = listingHtml;
+  const fetched = await search("ssd nvme 1tb", options);
+  assert.equal(fetched.items.length, 4);
+  assert.equal(fetcher.calls, 2);
+  assert.deepEqual([fetched.stats.requests, fetched.stats.pageRequests, fetched.stats.cacheHits, fetched.stats.cacheMisses], [1, 1, 0, 1]);
+
+  const cached = await search("ssd nvme 1tb", options);
+  assert.equal(cached.items.length, 4);
+  assert.equal(fetcher.calls, 2);
+  assert.deepEqual([cached.stats.requests, cached.stats.pageRequests, cached.stats.cacheHits, cached.stats.cacheMisses], [0, 0, 1, 0]);
+});
+
+test("search does not cache blocked detail pages", async () => {
+  const cache = tempCache();
+  const pages = { listing: listingHtml, detail: blockHtml };
+  const fetcher = pageFetcher(pages);
+  const options = { fetcher, cache, noRateLimit: true };
+
+  const blocked = await search("ssd nvme 1tb", options);
+  assert.deepEqual([blocked.stats.pageRequests, blocked.stats.detailRequests], [1, 4]);
+
+  pages.detail = detailHtml;
+  const fetched = await search("ssd nvme 1tb", options);
+  assert.deepEqual([fetched.stats.pageRequests, fetched.stats.detailRequests, fetched.stats.cacheHits], [0, 4, 1]);
+  assert.equal(fetched.items[0].shippingInfo.origin, "Estados Unidos");
+
+  const cached = await search("ssd nvme 1tb", options);
+  assert.deepEqual([cached.stats.requests, cached.stats.cacheHits, cached.stats.cacheMisses], [0, 5, 0]);
+  assert.equal(fetcher.calls, 9);
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview The `ml-search` command run as a child process, replaying a
+ * cassette so no request reaches the network.
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { urlKey } from "../lib/transport.js";
+import { readJsonFixture } from "./helpers.js";
+
+const bin = fileURLToPath(new URL("../bin/ml-search.js", import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ml-search-cli-"));
+const cassette = path.join(dir, "cassette");
+fs.mkdirSync(cassette);
+
+// The listing page of "ssd nvme", recorded the way `--record` stores it.
+const listingUrl = "https://lista.mercadolivre.com.br/ssd-nvme";
+fs.writeFileSync(path.join(cassette, `${urlKey(listingUrl)}.json`), JSON.stringify({ url: listingUrl, status: 200, statusText: "OK", headers: { "content-type": "text/html" } }));
+fs.writeFileSync(path.join(cassette, `${urlKey(listingUrl)}.html`), `<html><script>{"initialState":${JSON.stringify(readJsonFixture("listing-state.json"))}}</script></html>`);
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Runs the CLI with its cache and data directories inside the temporary directory.
+ *
+ * @param {string[]} args - Command-line arguments.
+ * @param {number} timeout - Milliseconds before the process is killed.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function run(args, timeout) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [bin, ...args], { timeout, env: { ...process.env, XDG_CACHE_HOME: dir, XDG_DATA_HOME: dir } }, (err, stdout, stderr) => {
+      resolve({ code: err ? (err.killed ? null : err.code) : 0, stdout, stderr });
+    });
+  });
+}
+
+test("--no-rate-limit leaves the lookup commands unthrottled whatever --rate says", async () => {
+  // One request per top-level category: at 0.01 req/s any limiter would stall past the timeout.
+  const { code, stdout } = await run(["--list-categories", "--depth", "2", "--replay", cassette, "--rate", "0.01", "--no-rate-limit"], 5000);
+  assert.equal(code, 0);
+  assert.match(stdout, /MLB1648/);
+});
+
+test("--stats adds priceStats to JSON output next to the request counters", async () => {
+  const { code, stdout } = await run(["ssd nvme", "--no-details", "--stats", "--replay", cassette], 20000);
+  assert.equal(code, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.items.length, 4);
+  assert.deepEqual([result.priceStats.count, result.priceStats.min, result.priceStats.max], [4, 39.9, 529]);
+  assert.equal(result.stats.pageRequests, 1);
+});
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Filter facets read from a recorded listing page, and
+ * `--filter` expressions resolved into the URL segment that applies them.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractFacets, parseFacetFilter, resolveFacetFilters, resolveRegionFilter } from "../lib/facets.js";
+import { readJsonFixture } from "./helpers.js";
+
+const facets = extractFacets(readJsonFixture("listing-state.json"));
+
+test("extractFacets merges available_filters and sidebar filters, skipping empty and repeated facets", () => {
+  assert.deepEqual(
+    facets.map((f) => f.id),
+    ["BRAND", "category", "SHIPPING_ORIGIN", "state"],
+  );
+  assert.equal(facets[0].name, "Marca");
+  assert.deepEqual(facets[0].values[0], { id: "206", name: "Samsung", count: 120, url: null });
+  assert.deepEqual(extractFacets({}), []);
+});
+
+test("parseFacetFilter splits <facet>=<value> and rejects other input", () => {
+  assert.deepEqual(parseFacetFilter(" Marca = Samsung "), { facet: "Marca", value: "Samsung", expr: " Marca = Samsung " });
+  assert.deepEqual(parseFacetFilter("BRAND=a=b"), { facet: "BRAND", value: "a=b", expr: "BRAND=a=b" });
+  assert.throws(() => parseFacetFilter("Samsung"), /Invalid --filter "Samsung"/);
+});
+
+test("resolveFacetFilters matches facets and values by ID or name and builds the URL segment", () => {
+  const { segment, applied } = resolveFacetFilters(facets, ["marca=kingston", "Origem do envio=10215068"]);
+  assert.equal(segment, "_BRAND_3835_SHIPPING*ORIGIN_10215068");
+  assert.deepEqual(applied, [
+    { facet: "BRAND", facetName: "Marca", value: "3835", valueName: "Kingston" },
+    { facet: "SHIPPING_ORIGIN", facetName: "Origem do envio", value: "10215068", valueName: "Local" },
+  ]);
+  assert.equal(resolveFacetFilters(facets, "BRAND=206").segment, "_BRAND_206");
+});
+
+test("resolveFacetFilters reports unknown facets and values with what the search offers", () => {
+  assert.throws(() => resolveFacetFilters(facets, "Cor=Azul"), /Unknown facet "Cor" in --filter "Cor=Azul"\. This search offers: BRAND \(Marca\), category/);
+  assert.throws(() => resolveFacetFilters(facets, "BRAND=Seagate"), /Unknown value "Seagate" for facet BRAND \(Marca\).*Available: Samsung \(206\), Kingston \(3835\)/);
+});
+
+test("resolveFacetFilters points facets with a dedicated option to that option", () => {
+  assert.throws(() => resolveFacetFilters(facets, "category=MLB1672"), /Use --category for the "Categorias" facet/);
+  assert.throws(() => resolveFacetFilters(facets, "Localização=São Paulo"), /Use --state for the "Localização" facet/);
+});
+
+test("resolveRegionFilter applies a --state region from the location facet", () => {
+  assert.deepEqual(resolveRegionFilter(facets, "sao paulo", "Brazilian UF"), {
+    segment: "_state_TUxCUFNBT085N2E4",
+    applied: { facet: "state", facetName: "Localização", value: "TUxCUFNBT085N2E4", valueName: "São Paulo" },
+  });
+  assert.throws(() => resolveRegionFilter(facets, "bahia", "Brazilian UF"), /Unknown state "bahia"\. This search offers these Brazilian UFs: São Paulo, Rio de Janeiro\./);
+  assert.throws(() => resolveRegionFilter([], "bahia", "Brazilian UF"), /does not offer a location filter/);
+});
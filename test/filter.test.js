@@ -0,0 +1,89 @@
+/**
+ * @fileoverview `--where` conditions and `--strict` matching, checked
+ * against a recorded item with its detail page data (description and spec
+ * tables) already merged in.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWhere, parseQuery, searchTerms, compileFilter } from "../lib/filter.js";
+import { readJsonFixture } from "./helpers.js";
+
+const item = readJsonFixture("item.json");
+const matches = (options) => compileFilter(options).test(item);
+
+test("parseWhere splits field, operator and value, longest operator first", () => {
+  assert.deepEqual(parseWhere("Memória RAM >= 8 GB"), { field: "Memória RAM", op: ">=", value: "8 GB", expr: "Memória RAM >= 8 GB" });
+  assert.equal(parseWhere("title~^ssd").regex.source, "^ssd");
+  assert.throws(() => parseWhere("Marca"), /Invalid --where "Marca"/);
+  assert.throws(() => parseWhere("Marca="), /Invalid --where "Marca="/);
+  assert.throws(() => parseWhere("title~("), /Invalid --where "title~\("/);
+});
+
+test("strict matching needs every query word in the title, description or attributes", () => {
+  assert.equal(matches({ query: "ssd kingston 2280", strict: true }), true);
+  assert.equal(matches({ query: "ssd dissipador", strict: true }), true);
+  assert.equal(matches({ query: "ssd samsung", strict: true }), false);
+  assert.equal(matches({ query: "ssd samsung" }), true);
+});
+
+test("parseQuery reads phrases, OR groups, exclusions and scopes", () => {
+  assert.deepEqual(parseQuery('ssd "m.2 2280" (kingston|samsung) -sata title:nvme'), [
+    { negate: false, scope: null, alternatives: ["ssd"] },
+    { negate: false, scope: null, alternatives: ["m 2 2280"] },
+    { negate: false, scope: null, alternatives: ["kingston", "samsung"] },
+    { negate: true, scope: null, alternatives: ["sata"] },
+    { negate: false, scope: "title", alternatives: ["nvme"] },
+  ]);
+  assert.throws(() => parseQuery('ssd "1tb'), /unbalanced quote/);
+  assert.throws(() => parseQuery("ssd (a|b"), /unbalanced parenthesis/);
+});
+
+test("searchTerms sends only the required words and phrases to the site", () => {
+  assert.equal(searchTerms("ssd nvme 1tb"), "ssd nvme 1tb");
+  assert.equal(searchTerms('ssd "m.2 2280" (kingston|samsung) -sata title:nvme'), "ssd m.2 2280 nvme");
+  assert.throws(() => searchTerms("-sata"), /needs at least one required word/);
+});
+
+test("query syntax and --exclude apply to the scoped text", () => {
+  assert.equal(matches({ query: "ssd kingston (nv2|nv3)", strict: true }), true);
+  assert.equal(matches({ query: "desc:dissipador attr:2280", strict: true }), true);
+  assert.equal(matches({ query: "title:dissipador", strict: true }), false);
+  assert.equal(matches({ query: 'ssd -sata -"pcie 3.0"', strict: true }), true);
+  assert.equal(matches({ exclude: "sata,usado" }), true);
+  assert.equal(matches({ exclude: ["pcie 4.0"] }), false);
+});
+
+test("--where compares item fields, dotted paths and attributes", () => {
+  assert.equal(matches({ where: ["price<=350", "freeShipping=sim", "rating.average>=4.5"] }), true);
+  assert.equal(matches({ where: ["marca=KINGSTON", "Formato!=M.2 2242"] }), true);
+  assert.equal(matches({ where: "title~nv[23]" }), true);
+  assert.equal(matches({ where: "price>400" }), false);
+  assert.equal(matches({ where: "Cor=Preto" }), false);
+});
+
+test("--where compares quantities across units of the same dimension", () => {
+  assert.equal(matches({ where: "Capacidade de armazenamento>=512 GB" }), true);
+  assert.equal(matches({ where: "Capacidade de armazenamento>2 TB" }), false);
+  assert.equal(matches({ where: "Peso<=0,01 kg" }), true);
+  assert.equal(matches({ where: "Velocidade de leitura>3000" }), true);
+});
+
+test("compileFilter classifies conditions by the pages they need, by full path", () => {
+  assert.equal(compileFilter().active, false);
+  assert.equal(compileFilter({ where: ["price<100", "rating.average>4"] }).needsDetails, false);
+  assert.equal(compileFilter({ where: "rating.count>100" }).needsDetails, true);
+  assert.equal(compileFilter({ where: "Marca=Kingston" }).needsDetails, true);
+  assert.equal(compileFilter({ where: "description~dissipador" }).needsDetails, true);
+  assert.equal(compileFilter({ where: "risk.score<40" }).needsDetails, true);
+  assert.equal(compileFilter({ query: "attr:2280", strict: true }).needsDetails, true);
+  assert.equal(compileFilter({ query: "title:nvme", strict: true }).needsDetails, false);
+  assert.equal(compileFilter({ where: "shippingInfo.full=true" }).needsDetails, true);
+  assert.equal(compileFilter({ where: "shippingInfo.full=true", noDetails: true }).needsDetails, false);
+});
+
+test("compileFilter rejects detail-only conditions with noDetails", () => {
+  assert.throws(() => compileFilter({ where: ["price<100", "Marca=Kingston"], noDetails: true }), /The --where "Marca=Kingston" condition reads detail pages, so it cannot be used with --no-details/);
+  assert.throws(() => compileFilter({ where: "rating.count>100", noDetails: true }), /--where "rating\.count>100"/);
+  assert.doesNotThrow(() => compileFilter({ where: ["rating.average>4", "risk.score<40"], noDetails: true }));
+});
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Shared helpers for the test suite.
+ */
+
+import fs from "node:fs";
+
+/**
+ * Reads a file from `test/fixtures`.
+ *
+ * @param {string} name - File name inside `test/fixtures`.
+ * @returns {string}
+ */
+export function readFixture(name) {
+  return fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+}
+
+/**
+ * Reads and parses a JSON file from `test/fixtures`.
+ *
+ * @param {string} name - File name inside `test/fixtures`.
+ * @returns {*}
+ */
+export function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
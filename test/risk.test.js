@@ -0,0 +1,26 @@
+/**
+ * @fileoverview `assessRisk` signals on a recorded item, and the seller
+ * reputation read from a detail page excerpt.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assessRisk } from "../lib/risk.js";
+import { extractDetailFromHtml } from "../lib/index.js";
+import { readFixture, readJsonFixture } from "./helpers.js";
+
+const item = readJsonFixture("item.json");
+const codes = (overrides) => assessRisk([{ ...item, ...overrides }])[0].risk.signals.map((s) => s.code);
+
+test("extractDetailFromHtml reads the seller reputation from the embedded state", () => {
+  assert.deepEqual(extractDetailFromHtml(readFixture("detail-shipping.html")).sellerReputation, { level: null, powerSeller: null, sales: 0 });
+  assert.equal(extractDetailFromHtml("<html><body><h1>Sem vendedor</h1></body></html>").sellerReputation, null);
+});
+
+test("no_seller_rating depends on the seller reputation, not on the product rating", () => {
+  assert.deepEqual(codes({}), []);
+  assert.deepEqual(codes({ rating: null }), []);
+  assert.deepEqual(codes({ sellerReputation: { level: null, powerSeller: null, sales: 0 } }), ["no_seller_rating"]);
+  assert.deepEqual(codes({ sellerReputation: { level: null, powerSeller: null, sales: 12 } }), []);
+  assert.deepEqual(codes({ sellerReputation: null, rating: null }), []);
+});
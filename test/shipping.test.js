@@ -0,0 +1,97 @@
+/**
+ * @fileoverview `shippingInfo` parsing from listing card components and a
+ * detail page excerpt, and the delivery-date arithmetic behind
+ * `--max-delivery-days`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseShippingComponents, extractShippingFromHtml, mergeShippingInfo, parseDeliveryDays, shippingConditions } from "../lib/shipping.js";
+import { readFixture, readJsonFixture } from "./helpers.js";
+
+const listing = readJsonFixture("listing-state.json");
+const detailHtml = readFixture("detail-shipping.html");
+const components = (i) => listing.results[i].polycard.components;
+
+// Sunday, 1 November 2026.
+const now = new Date(2026, 10, 1);
+
+test("parseShippingComponents reads free shipping, the Full icon and the delivery date", () => {
+  assert.deepEqual(parseShippingComponents(components(0), { now }), {
+    free: true,
+    full: true,
+    sameDay: false,
+    international: false,
+    origin: null,
+    delivery: { text: "Chegará grátis amanhã", minDays: 1, maxDays: 1 },
+  });
+});
+
+test("parseShippingComponents reads an international listing's origin and delivery range", () => {
+  const info = parseShippingComponents(components(1), { now });
+  assert.equal(info.international, true);
+  assert.equal(info.origin, "Estados Unidos");
+  assert.equal(info.full, false);
+  assert.deepEqual(info.delivery, { text: "Receba entre 3 e 5 de nov", minDays: 2, maxDays: 4 });
+});
+
+test("parseShippingComponents leaves the delivery estimate empty without a date", () => {
+  const info = parseShippingComponents(components(2), { now });
+  assert.equal(info.free, true);
+  assert.equal(info.delivery, null);
+  assert.deepEqual(parseShippingComponents(undefined, { now }), { free: false, full: false, sameDay: false, international: false, origin: null, delivery: null });
+});
+
+test("parseShippingComponents reads the import labels only from the shipping and origin components", () => {
+  const info = parseShippingComponents(components(3), { now });
+  assert.equal(info.international, false);
+  assert.deepEqual(info.delivery, { text: "Chegará amanhã", minDays: 1, maxDays: 1 });
+  assert.equal(parseShippingComponents([{ type: "highlight", highlight: { text: "Compra Internacional" } }], { now }).international, true);
+  assert.equal(parseShippingComponents([{ type: "label", label: { text: "Envío del exterior" } }], { now }).international, true);
+  assert.equal(parseShippingComponents([{ type: "title", title: { text: "Compra Internacional" } }], { now }).international, false);
+});
+
+test("extractShippingFromHtml reads the shipping box, logistic type and origin of a detail page", () => {
+  assert.deepEqual(extractShippingFromHtml(detailHtml, { now }), {
+    free: true,
+    full: true,
+    sameDay: false,
+    international: true,
+    origin: "Estados Unidos",
+    delivery: { text: "Chegará grátis entre 3 e 5 de nov", minDays: 2, maxDays: 4 },
+  });
+  assert.equal(extractShippingFromHtml("<html><body><h1>Sem envio</h1></body></html>", { now }), null);
+});
+
+test("mergeShippingInfo prefers the detail page and keeps the card where the detail page is silent", () => {
+  const card = parseShippingComponents(components(2), { now });
+  const detail = extractShippingFromHtml(detailHtml, { now });
+  const merged = mergeShippingInfo(card, detail);
+  assert.equal(merged.full, true);
+  assert.equal(merged.origin, "Estados Unidos");
+  assert.deepEqual(merged.delivery, detail.delivery);
+
+  const dated = parseShippingComponents(components(0), { now });
+  assert.deepEqual(mergeShippingInfo(dated, detail).delivery, detail.delivery);
+  assert.deepEqual(mergeShippingInfo(dated, { ...detail, delivery: null }).delivery, dated.delivery);
+  assert.deepEqual(mergeShippingInfo(dated, { ...detail, delivery: { text: "Chegará em breve", minDays: null, maxDays: null } }).delivery, dated.delivery);
+  assert.equal(mergeShippingInfo(null, detail), detail);
+  assert.equal(mergeShippingInfo(null, null), null);
+});
+
+test("parseDeliveryDays understands relative days, weekdays, dates and day counts", () => {
+  assert.deepEqual(parseDeliveryDays("Chegará hoje", now), { minDays: 0, maxDays: 0 });
+  assert.deepEqual(parseDeliveryDays("Llega mañana", now), { minDays: 1, maxDays: 1 });
+  assert.deepEqual(parseDeliveryDays("Chegará depois de amanhã", now), { minDays: 2, maxDays: 2 });
+  assert.deepEqual(parseDeliveryDays("Chegará na segunda-feira", now), { minDays: 1, maxDays: 1 });
+  assert.deepEqual(parseDeliveryDays("Llega el domingo", now), { minDays: 7, maxDays: 7 });
+  assert.deepEqual(parseDeliveryDays("Receba até 10/11", now), { minDays: 9, maxDays: 9 });
+  assert.deepEqual(parseDeliveryDays("Llega en 3 a 5 días", now), { minDays: 3, maxDays: 5 });
+  assert.deepEqual(parseDeliveryDays("Chegará 5 de jan", now), { minDays: 65, maxDays: 65 });
+  assert.equal(parseDeliveryDays("Enviado pelo FULL", now), null);
+});
+
+test("shippingConditions turns the shipping options into --where conditions", () => {
+  assert.deepEqual(shippingConditions({}), []);
+  assert.deepEqual(shippingConditions({ fullOnly: true, maxDeliveryDays: 0 }), ["shippingInfo.full=true", "shippingInfo.delivery.maxDays<=0"]);
+});
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview `searchStream` with a filter on detail fields, over the
+ * recorded listing page and generated detail pages.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { searchStream } from "../lib/index.js";
+import { readJsonFixture } from "./helpers.js";
+
+const listingHtml = `<html><script>{"initialState":${JSON.stringify(readJsonFixture("listing-state.json"))}}</script></html>`;
+
+/** Descriptions of the detail pages, by listing ID. */
+const descriptions = { MLB1001: "Sem dissipador.", MLB1002: "Produto importado.", MLB1003: "Acompanha dissipador térmico.", MLB1004: "Adaptador com dissipador de calor." };
+
+/** Serves the listing page, and a detail page with its description for each listing. */
+async function fetcher(url) {
+  const id = url.match(/MLB-(\d+)/)?.[1];
+  const body = id ? `<html><body><p class="ui-pdp-description__content">${descriptions[`MLB${id}`]}</p></body></html>` : listingHtml;
+  return { status: 200, headers: { "content-type": "text/html" }, body };
+}
+
+/**
+ * Collects the `item` events and the `done` event of a stream.
+ *
+ * @param {object} options - `searchStream` options.
+ * @returns {Promise<{ids: string[], done: object}>}
+ */
+async function collect(options) {
+  const ids = [];
+  let done = null;
+  for await (const event of searchStream("ssd nvme 1tb", { fetcher, noRateLimit: true, ...options })) {
+    if (event.type === "item") ids.push(event.item.id);
+    if (event.type === "done") done = event;
+  }
+  return { ids, done };
+}
+
+test("searchStream counts the limit on items that pass a detail filter", async () => {
+  const one = await collect({ where: "description~acompanha dissipador", limit: 1 });
+  assert.deepEqual(one.ids, ["MLB1003"]);
+  assert.equal(one.done.stats.detailRequests, 3);
+  assert.equal(one.done.pagination.nextOffset, 3);
+
+  const two = await collect({ where: "description~dissipador", limit: 2, concurrency: 1 });
+  assert.deepEqual(two.ids, ["MLB1001", "MLB1003"]);
+  assert.equal(two.done.stats.detailRequests, 3);
+
+  const all = await collect({ where: "description~dissipador", limit: 10 });
+  assert.deepEqual(all.ids.sort(), ["MLB1001", "MLB1003", "MLB1004"]);
+});
+
+test("searchStream rejects maxRisk, since it does not score risk", async () => {
+  await assert.rejects(collect({ maxRisk: 20 }), /searchStream\(\) does not score risk/);
+});
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview `watch run` against a local webhook stub: alerts are posted
+ * as JSON, remembered once delivered and retried on the next run when the
+ * webhook fails. Listing pages come from the recorded `initialState`.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { createWatchlist } from "../lib/watch.js";
+import { readFixture, readJsonFixture } from "./helpers.js";
+
+const listing = readJsonFixture("listing-state.json");
+const productHtml = readFixture("detail-shipping.html").replace("</body>", '<script type="application/ld+json">{"@type":"Product","name":"SSD NVMe 1TB Importado","offers":{"price":289,"priceCurrency":"BRL"}}</script></body>');
+
+/** Statuses the webhook answers with, in order; 200 once they run out. */
+let statuses = [];
+/** Alerts the webhook received, with the status it answered. */
+let received = [];
+let server;
+let webhook;
+/** Temporary directories to remove once the tests are done. */
+const dirs = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const status = statuses.shift() ?? 200;
+      received.push({ status, alert: JSON.parse(body) });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  webhook = `http://127.0.0.1:${server.address().port}/alerts`;
+});
+
+after(() => {
+  server.close();
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Returns a fetcher serving the fixture listing page with only the given items.
+ *
+ * @param {string[]} ids - Item IDs to keep in the results.
+ * @returns {import("../lib/transport.js").Fetcher}
+ */
+function listingFetcher(ids) {
+  const state = { ...listing, results: listing.results.filter((r) => ids.includes(r.polycard.metadata.id)) };
+  return async () => ({ status: 200, headers: { "content-type": "text/html" }, body: `<html><script>{"initialState":${JSON.stringify(state)}}</script></html>` });
+}
+
+/**
+ * Creates a watchlist in a fresh temporary directory.
+ *
+ * @returns {ReturnType<typeof createWatchlist>}
+ */
+function tempWatchlist() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ml-search-watch-"));
+  dirs.push(dir);
+  return createWatchlist({ file: path.join(dir, "watchlist.json") });
+}
+
+test("watch run posts alerts to the webhook and retries failed deliveries on the next run", async () => {
+  statuses = [500];
+  received = [];
+  const watchlist = tempWatchlist();
+  await watchlist.add({ query: "ssd nvme 1tb", below: 400 });
+  const fetcher = listingFetcher(["MLB1001", "MLB1002", "MLB1003"]);
+
+  const first = await watchlist.run({ webhook, fetcher, noRateLimit: true });
+  assert.deepEqual(
+    received.map((r) => [r.alert.item.id, r.status]),
+    [
+      ["MLB1001", 500],
+      ["MLB1002", 200],
+    ],
+  );
+  assert.deepEqual(
+    first.alerts.map((a) => a.item.id),
+    ["MLB1002"],
+  );
+  assert.deepEqual(first.errors, [{ watch: "1", error: "Alert delivery failed for MLB1001: webhook responded with HTTP 500" }]);
+  assert.deepEqual(received[1].alert.reasons, ["below"]);
+
+  received = [];
+  const second = await watchlist.run({ webhook, fetcher, noRateLimit: true });
+  assert.deepEqual(
+    second.alerts.map((a) => a.item.id),
+    ["MLB1001"],
+  );
+  assert.deepEqual(second.errors, []);
+  assert.deepEqual(
+    received.map((r) => r.alert.item.id),
+    ["MLB1001"],
+  );
+
+  received = [];
+  const third = await watchlist.run({ webhook, fetcher, noRateLimit: true });
+  assert.deepEqual(third.alerts, []);
+  assert.deepEqual(received, []);
+  assert.deepEqual(Object.keys((await watchlist.list())[0].alerted).sort(), ["MLB1001", "MLB1002"]);
+});
+
+test("watch run alerts again only when the price drops below the last alert", async () => {
+  statuses = [];
+  received = [];
+  const watchlist = tempWatchlist();
+  await watchlist.add({ query: "ssd nvme 1tb", below: 300 });
+  await watchlist.run({ webhook, fetcher: listingFetcher(["MLB1002"]), noRateLimit: true });
+
+  const cheaper = { ...listing, results: listing.results.filter((r) => r.polycard.metadata.id === "MLB1002") };
+  cheaper.results = JSON.parse(JSON.stringify(cheaper.results).replace('"value":289', '"value":259'));
+  const fetcher = async () => ({ status: 200, headers: {}, body: `<script>{"initialState":${JSON.stringify(cheaper)}}</script>` });
+  const dropped = await watchlist.run({ webhook, fetcher, noRateLimit: true });
+  assert.deepEqual(
+    dropped.alerts.map((a) => [a.item.id, a.item.price, a.previousPrice]),
+    [["MLB1002", 259, 289]],
+  );
+  assert.equal(received.length, 2);
+});
+
+test("watch run keeps an undelivered new listing new until its alert is delivered", async () => {
+  statuses = [];
+  received = [];
+  const watchlist = tempWatchlist();
+  await watchlist.add({ query: "ssd nvme 1tb", newListings: true });
+
+  const baseline = await watchlist.run({ webhook, fetcher: listingFetcher(["MLB1001"]), noRateLimit: true });
+  assert.deepEqual(baseline.alerts, []);
+  assert.deepEqual(received, []);
+
+  const fetcher = listingFetcher(["MLB1001", "MLB1003"]);
+  statuses = [503];
+  const failed = await watchlist.run({ webhook, fetcher, noRateLimit: true });
+  assert.deepEqual(failed.alerts, []);
+  assert.equal(failed.errors.length, 1);
+  assert.equal((await watchlist.list())[0].known.includes("MLB1003"), false);
+
+  received = [];
+  const retried = await watchlist.run({ webhook, fetcher, noRateLimit: true });
+  assert.deepEqual(
+    retried.alerts.map((a) => [a.item.id, a.reasons]),
+    [["MLB1003", ["new_listing"]]],
+  );
+  assert.deepEqual(
+    received.map((r) => r.status),
+    [200],
+  );
+
+  const quiet = await watchlist.run({ webhook, fetcher, noRateLimit: true });
+  assert.deepEqual(quiet.alerts, []);
+});
+
+test("watch run retries a failed alert only on the channel that failed", async () => {
+  statuses = [];
+  received = [];
+  const watchlist = tempWatchlist();
+  await watchlist.add({ query: "ssd nvme 1tb", below: 300 });
+  const flag = path.join(path.dirname(watchlist.file), "command-ok");
+  const command = `cat > /dev/null; test -f ${JSON.stringify(flag)}`;
+  const fetcher = listingFetcher(["MLB1002"]);
+
+  const failed = await watchlist.run({ webhook, command, fetcher, noRateLimit: true });
+  assert.deepEqual(failed.alerts, []);
+  assert.deepEqual(failed.errors, [{ watch: "1", error: "Alert delivery failed for MLB1002: command exited with code 1" }]);
+  assert.equal(received.length, 1);
+
+  fs.writeFileSync(flag, "");
+  const retried = await watchlist.run({ webhook, command, fetcher, noRateLimit: true });
+  assert.deepEqual(
+    retried.alerts.map((a) => a.item.id),
+    ["MLB1002"],
+  );
+  assert.deepEqual(retried.errors, []);
+  assert.equal(received.length, 1);
+  assert.deepEqual((await watchlist.list())[0].pending, {});
+});
+
+test("watch run skips an item entry's listing that cannot be fetched and checks the others", async () => {
+  statuses = [];
+  received = [];
+  const watchlist = tempWatchlist();
+  await watchlist.add({ items: ["MLB1234567890", "MLB1234567891"], below: 300 });
+  const fetcher = async (url) => (url.includes("MLB-1234567890") ? { status: 200, headers: {}, body: productHtml } : { status: 404, statusText: "Not Found", headers: {}, body: "" });
+
+  const result = await watchlist.run({ webhook, fetcher, noRateLimit: true });
+  assert.deepEqual(
+    result.alerts.map((a) => [a.item.id, a.item.price]),
+    [["MLB1234567890", 289]],
+  );
+  assert.deepEqual(result.errors, [{ watch: "1", error: "MLB1234567891: HTTP 404 Not Found" }]);
+});
+
+test("watch run remembers the listings seen most recently first", async () => {
+  statuses = [];
+  received = [];
+  const watchlist = tempWatchlist();
+  await watchlist.add({ query: "ssd nvme 1tb", newListings: true });
+  await watchlist.run({ webhook, fetcher: listingFetcher(["MLB1001", "MLB1002"]), noRateLimit: true });
+  await watchlist.run({ webhook, fetcher: listingFetcher(["MLB1003"]), noRateLimit: true });
+  assert.deepEqual((await watchlist.list())[0].known, ["MLB1003", "MLB1001", "MLB1002"]);
+});